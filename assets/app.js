@@ -17,12 +17,22 @@
     constraints: "/assets/pair_exclusion_constraints_RUNTIME.json",
     norms: "/assets/domain_norms_REAL.json",
     policy: "/assets/frozen_cat_policy.json",
+    // Item-text resources, keyed like the manifest entries
+    itemText: { item_text: "/assets/srs_item_text.json" },
     version: "/assets/version.json",
+    manifest: "/assets/manifest.json",
+    // ui.<lang>.json string catalogs and items.<lang>.json item translations
+    i18n: "/assets/i18n",
+    // Visit schedule, MCIDs and RCI cut-off for the change-from-baseline table
+    changeThresholds: "/assets/change_thresholds.json",
   };
 
   const LS_KEYS = {
     session: "spinepro_cat_session_v1",
     results: "spinepro_cat_results_v1",
+    display: "spinepro_display_v1",
+    // { patient_id, visit } entered on the start page for the next administration
+    visit: "spinepro_cat_visit_v1",
   };
 
   // -------------------------
@@ -36,6 +46,147 @@
     if (el) el.textContent = msg;
   }
 
+  // UI strings from the loaded catalogs (cat_i18n.js); the key itself if the module is missing
+  function t(key, vars) {
+    return window.CATI18n ? window.CATI18n.t(key, vars) : key;
+  }
+
+  function tn(key, n, vars) {
+    return window.CATI18n ? window.CATI18n.tn(key, n, vars) : key;
+  }
+
+  // Percentile ordinal ("62nd"). A catalog may replace the English suffixes with its own pattern (results.ordinal).
+  function ordinal(n) {
+    const v = Math.round(n), m100 = v % 100, m10 = v % 10;
+    if (window.CATI18n && window.CATI18n.has("results.ordinal")) return t("results.ordinal", { n: v });
+    if (m100 >= 11 && m100 <= 13) return `${v}th`;
+    return `${v}${m10 === 1 ? "st" : m10 === 2 ? "nd" : m10 === 3 ? "rd" : "th"}`;
+  }
+
+  // finish() labels severity bands in English ("Very low"); translated via severity.<snake_case>
+  function severityText(sev) {
+    const key = `severity.${String(sev).toLowerCase().replace(/\s+/g, "_")}`;
+    return (window.CATI18n && window.CATI18n.has(key)) ? t(key) : sev;
+  }
+
+  function currentLanguage() {
+    return window.CATI18n ? window.CATI18n.getLanguage() : "en";
+  }
+
+  // English is always loaded as the fallback for keys a translation lacks
+  async function loadCatalogs(lang) {
+    const i18n = window.CATI18n;
+    const langs = lang === i18n.DEFAULT_LANGUAGE ? [lang] : [i18n.DEFAULT_LANGUAGE, lang];
+    for (const l of langs) {
+      try {
+        i18n.addCatalog(l, await fetchJSON(`${PATHS.i18n}/ui.${l}.json`));
+      } catch (e) {
+        console.warn(`UI strings for "${l}" could not be loaded:`, e && e.message ? e.message : e);
+      }
+    }
+  }
+
+  // Whether patients may use a language: English always, others once items.<lang>.json is released
+  // (CATI18n.isReleased). Checked once per page.
+  const releaseChecks = {};
+  function isLanguageReleased(lang) {
+    const i18n = window.CATI18n;
+    if (lang === i18n.DEFAULT_LANGUAGE) return Promise.resolve(true);
+    if (!releaseChecks[lang]) {
+      releaseChecks[lang] = fetchJSON(`${PATHS.i18n}/items.${lang}.json`)
+        .then((res) => i18n.isReleased(res))
+        .catch(() => false);
+    }
+    return releaseChecks[lang];
+  }
+
+  // Picks the language (?lang=, then the saved choice), loads its strings and translates static page text.
+  // A language whose item translations are not released falls back to English on every page.
+  async function initI18n() {
+    const i18n = window.CATI18n;
+    if (!i18n) return "en";
+    let wanted = i18n.detectLanguage(window.location.search, localStorage);
+    if (!(await isLanguageReleased(wanted))) {
+      console.warn(`Item translations for "${wanted}" are not released (metadata.status is not "final"); using ${i18n.DEFAULT_LANGUAGE}.`);
+      wanted = i18n.DEFAULT_LANGUAGE;
+    }
+    const lang = i18n.setLanguage(wanted, localStorage);
+    await loadCatalogs(lang);
+    document.documentElement.lang = lang;
+    i18n.applyStatic(document);
+    return lang;
+  }
+
+  // Screen-reader announcement through the page's polite live region. Cleared first so a repeated
+  // message (e.g. after "Previous question") is read again.
+  function announce(msg) {
+    const el = document.querySelector('[data-role="announce"]');
+    if (!el) return;
+    el.textContent = "";
+    setTimeout(() => { el.textContent = msg; }, 50);
+  }
+
+  // Large-text/high-contrast mode: a class on <html>, remembered on this device
+  function bindDisplayToggle() {
+    let on = false;
+    try { on = localStorage.getItem(LS_KEYS.display) === "large"; } catch (_) {}
+    document.documentElement.classList.toggle("displayLarge", on);
+    const btn = document.querySelector('[data-role="displayToggle"]');
+    if (!btn) return;
+    btn.setAttribute("aria-pressed", on ? "true" : "false");
+    btn.addEventListener("click", () => {
+      on = !on;
+      try { localStorage.setItem(LS_KEYS.display, on ? "large" : "standard"); } catch (_) {}
+      document.documentElement.classList.toggle("displayLarge", on);
+      btn.setAttribute("aria-pressed", on ? "true" : "false");
+    });
+  }
+
+  // The options container is an ARIA radiogroup only while it holds an item's answers
+  function clearOptionGroup(optEl) {
+    optEl.removeAttribute("role");
+    optEl.removeAttribute("aria-labelledby");
+    optEl.removeAttribute("aria-describedby");
+  }
+
+  function renderError(msg) {
+    console.error(msg);
+    setStatus(String(msg));
+  }
+
+  // Stops the survey: replaces the question area with the error so no answers can be collected
+  function renderBlockingError(title, details) {
+    const stemEl = document.querySelector('[data-role="qstem"]');
+    const optEl = document.querySelector('[data-role="options"]');
+    const backBtn = document.querySelector('[data-role="back"]');
+    if (backBtn) backBtn.hidden = true;
+    if (optEl) {
+      optEl.innerHTML = "";
+      clearOptionGroup(optEl);
+    }
+    if (stemEl) {
+      stemEl.innerHTML = "";
+      const box = document.createElement("div");
+      box.className = "errorBox";
+      box.setAttribute("role", "alert");
+      const h = document.createElement("div");
+      h.className = "errorTitle";
+      h.textContent = title;
+      box.appendChild(h);
+      if (details && details.length) {
+        const ul = document.createElement("ul");
+        for (const d of details) {
+          const li = document.createElement("li");
+          li.textContent = d;
+          ul.appendChild(li);
+        }
+        box.appendChild(ul);
+      }
+      stemEl.appendChild(box);
+    }
+    setStatus("");
+  }
+
   // Catch runtime errors and show them in the UI (prevents "blank screen" failures)
   function attachGlobalErrorHandlers() {
     window.addEventListener('error', (e) => {
@@ -97,6 +248,88 @@
     return safeJSONParse(text, url);
   }
 
+  // sha256 (hex) of the bytes as served; null where WebCrypto is unavailable (non-secure origin)
+  async function sha256Hex(buf) {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle) return null;
+    const digest = await subtle.digest("SHA-256", buf);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Like fetchJSON, but also hashes the raw file so it can be checked against manifest.json
+  async function fetchJSONWithHash(url) {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    const buf = await res.arrayBuffer();
+    const text = new TextDecoder("utf-8").decode(buf);
+    return { data: safeJSONParse(text, url), sha256: await sha256Hex(buf) };
+  }
+
+  // Cache-busting stamp (?v=...) this page loaded app.js with
+  function pageAssetStamp() {
+    const el = document.querySelector('script[src*="/assets/app.js"]');
+    const m = el && /[?&]v=([^&]+)/.exec(el.getAttribute("src") || "");
+    return m ? m[1] : null;
+  }
+
+  // sha256 of the /assets/*.js scripts this page loaded, keyed by file name (manifest.code).
+  // Fetched from the same URLs, so the browser can answer from the copy it executed.
+  async function pageScriptHashes() {
+    const out = {};
+    for (const el of document.querySelectorAll('script[src^="/assets/"]')) {
+      const src = el.getAttribute("src");
+      const name = src.split("?")[0].slice("/assets/".length);
+      try {
+        const res = await fetch(src);
+        out[name] = res.ok ? await sha256Hex(await res.arrayBuffer()) : null;
+      } catch {
+        out[name] = null;
+      }
+    }
+    return out;
+  }
+
+  // Compares the loaded files and scripts with manifest.json (written by tools/build_manifest.js).
+  // Returns the provenance stamped into sessions/results and a list of mismatches.
+  function checkManifest(manifest, version, bank, hashes, codeHashes) {
+    const provenance = {
+      build: (version && version.build) || null,
+      asset_version: pageAssetStamp(),
+      bank_version: (bank && bank.version) || null,
+      manifest_verified: false,
+      sha256: hashes,
+      code_sha256: codeHashes || {}
+    };
+    const problems = [];
+    if (!manifest || !manifest.files) {
+      console.warn("manifest.json not found; asset hashes are recorded but not verified.");
+      return { provenance, problems };
+    }
+    if (manifest.build !== provenance.build) {
+      problems.push(`App build is ${provenance.build || "unknown"}, manifest expects ${manifest.build || "unknown"}`);
+    }
+    if (manifest.asset_version && provenance.asset_version && manifest.asset_version !== provenance.asset_version) {
+      problems.push(`Page scripts are version ${provenance.asset_version}, manifest expects ${manifest.asset_version}`);
+    }
+    if (manifest.bank_version !== provenance.bank_version) {
+      problems.push(`Item bank is version ${provenance.bank_version || "unknown"}, manifest expects ${manifest.bank_version || "unknown"}`);
+    }
+    let unverified = false;
+    const compare = (entries, got) => {
+      for (const [key, f] of Object.entries(entries || {})) {
+        // Only files this page loaded (e.g. the patient's language, not every translation)
+        if (!(key in got)) continue;
+        if (!got[key]) { unverified = true; continue; }
+        if (got[key] !== f.sha256) problems.push(`${f.path || key} does not match the manifest (sha256 ${got[key].slice(0, 12)}…)`);
+      }
+    };
+    compare(manifest.files, hashes);
+    compare(manifest.code, provenance.code_sha256);
+    if (unverified) console.warn("Some asset hashes could not be computed (WebCrypto unavailable or a script could not be re-read); manifest only partially verified.");
+    provenance.manifest_verified = !unverified && problems.length === 0;
+    return { provenance, problems };
+  }
+
   function routeTo(pathNoExt, fallbackHtml) {
     // If cleanUrls works: /survey, /results
     // Otherwise: /survey.html, /results.html
@@ -108,27 +341,92 @@
     }
   }
 
+  // Per-patient seed: ?seed=... replays a specific administration (audits/research);
+  // otherwise draw a fresh one, which is recorded in the session so it can be replayed later.
+  function patientSeed() {
+    try {
+      const fromUrl = new URLSearchParams(window.location.search).get("seed");
+      if (fromUrl) return fromUrl;
+    } catch (_) {}
+    if (window.crypto && typeof window.crypto.getRandomValues === "function") {
+      return String(window.crypto.getRandomValues(new Uint32Array(1))[0]);
+    }
+    return String(Math.floor(Math.random() * 4294967296));
+  }
+
+  function readSessionSnapshot() {
+    try {
+      const raw = localStorage.getItem(LS_KEYS.session);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // A snapshot is only worth offering if the patient actually answered something and did not finish.
+  function isUnfinishedSnapshot(snap) {
+    return !!(snap && Array.isArray(snap.administered) && snap.administered.length && !snap.is_finished);
+  }
+
+  // Patient ID and visit entered on the start page for the next administration, or null.
+  // The context is single-use: initSurvey takes it for one session and clears it, and resetSession
+  // clears it too, so a survey opened later (or directly at /survey) is never filed under an old ID.
+  function readVisitContext() {
+    try {
+      const v = JSON.parse(localStorage.getItem(LS_KEYS.visit) || "null");
+      const store = window.CATPatientStore;
+      const patientId = v && (store ? store.normalizePatientId(v.patient_id) : v.patient_id);
+      return (patientId && v.visit) ? { patient_id: patientId, visit: v.visit } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function clearVisitContext() {
+    localStorage.removeItem(LS_KEYS.visit);
+  }
+
+  // Thresholds file with the module defaults as fallback
+  async function loadChangeThresholds() {
+    try {
+      return await loadJSON(PATHS.changeThresholds);
+    } catch (e) {
+      console.warn("change_thresholds.json unavailable; using defaults", e);
+      return null;
+    }
+  }
+
+  // The patient store outlives sessions: resetSession clears only the current administration
+  // (session, results and the pending patient/visit context)
   function resetSession() {
     localStorage.removeItem(LS_KEYS.session);
     localStorage.removeItem(LS_KEYS.results);
+    clearVisitContext();
   }
 
   // -------------------------
   // Engine adapter
   // -------------------------
-  function makeEngine({ bank, constraints, policy, norms }) {
+  // `session` (optional) is a stored snapshot to resume instead of starting a new administration.
+  // `seed` (optional) is the per-patient seed for reproducible item selection.
+  // `provenance` (optional) is the build/asset-hash record stamped into the session and results.
+  // `language` (optional) is the language the patient answers in, recorded in the session and results.
+  // `visit` (optional) is the { patient_id, visit } the results are filed under in the patient store.
+  function makeEngine({ bank, constraints, policy, norms, session, seed, provenance, language, visit }) {
+    const maxResumeAgeHours = policy && Number.isFinite(policy.resume_max_age_hours) ? policy.resume_max_age_hours : undefined;
+    const args = { bank, constraints, policy, norms, session, maxResumeAgeHours, seed, provenance, language, visit };
     // Support a few possible exports from cat_engine.js
     // 1) window.JointCATEngine (constructor)
     if (typeof window.JointCATEngine === "function") {
-      return new window.JointCATEngine({ bank, constraints, policy, norms });
+      return new window.JointCATEngine(args);
     }
     // 2) window.createJointCATEngine (factory)
     if (typeof window.createJointCATEngine === "function") {
-      return window.createJointCATEngine({ bank, constraints, policy, norms });
+      return window.createJointCATEngine(args);
     }
     // 3) window.CATEngine (constructor)
     if (typeof window.CATEngine === "function") {
-      return new window.CATEngine({ bank, constraints, policy, norms });
+      return new window.CATEngine(args);
     }
 
     throw new Error(
@@ -191,7 +489,18 @@
         (engine.bank && engine.bank.cat_config && engine.bank.cat_config.max_items) ||
         null;
 
-      return { nAnswered, maxItems };
+      // Engines with a forecast (estimateRemaining) report a monotonic fraction; others fall back to n / maxItems
+      let fraction = null;
+      let remaining = null;
+      try {
+        if (typeof engine.estimateRemaining === "function") {
+          const est = engine.estimateRemaining();
+          if (est && Number.isFinite(est.progress)) fraction = est.progress;
+          if (est && Number.isFinite(est.remaining)) remaining = est.remaining;
+        }
+      } catch (_) {}
+
+      return { nAnswered, maxItems, fraction, remaining };
     };
 
     api.getResults = () => {
@@ -202,6 +511,17 @@
       return { state: engine.state || null };
     };
 
+    api.canGoBack = () => {
+      if (typeof engine.canGoBack === "function") return engine.canGoBack();
+      return false;
+    };
+
+    api.back = () => {
+      if (typeof engine.backOne === "function") return engine.backOne();
+      if (typeof engine.back === "function") return engine.back();
+      throw new Error("Engine missing backOne()/back().");
+    };
+
     api.serialize = () => {
       // Get the actual session with theta values
       if (typeof engine._getSession === "function") {
@@ -239,15 +559,18 @@
     if (resetBtn) {
       resetBtn.addEventListener("click", () => {
         resetSession();
-        setStatus("Session cleared.");
+        setStatus(t("status.session_cleared"));
       });
     }
 
+    await renderLanguagePicker();
+    const visitFields = await renderVisitFields();
+
     // Warm-load JSON so Start is instant and we catch JSON errors early
     try {
-      setStatus("Loading item bank…");
+      setStatus(t("status.loading_bank"));
       await fetchJSON(PATHS.bank);
-      setStatus("Ready.");
+      setStatus(t("status.ready"));
     } catch (e) {
       console.error(e);
       setStatus(String(e.message || e));
@@ -255,17 +578,88 @@
     }
 
     if (startBtn) {
+      // The survey offers to resume an unfinished session itself, so Start leaves the stored snapshot alone
       startBtn.addEventListener("click", () => {
-        // Initialize session marker
-        localStorage.setItem(
-          LS_KEYS.session,
-          JSON.stringify({ startedAt: new Date().toISOString(), version: "v1" })
-        );
+        if (visitFields && !visitFields.save()) return;
         routeTo("/survey", "/survey.html");
       });
     }
   }
 
+  // Patient ID and visit inputs (clinic staff). Never prefilled, so a shared device does not file the next
+  // patient under the previous ID; save() stores the context for the next administration (or clears it
+  // when the ID is blank) and returns false on a bad ID.
+  async function renderVisitFields() {
+    const idInput = document.querySelector('[data-role="patientId"]');
+    const select = document.querySelector('[data-role="visitSelect"]');
+    const store = window.CATPatientStore;
+    if (!idInput || !select || !store) return null;
+
+    const thresholds = store.resolveThresholds(await loadChangeThresholds());
+    select.innerHTML = "";
+    for (const v of thresholds.visits) {
+      const opt = document.createElement("option");
+      opt.value = v;
+      opt.textContent = window.CATI18n && window.CATI18n.has(`visit.${v}`) ? t(`visit.${v}`) : v;
+      select.appendChild(opt);
+    }
+    select.value = thresholds.baseline_visit;
+
+    return {
+      save() {
+        const raw = String(idInput.value || "").trim();
+        if (!raw) {
+          clearVisitContext();
+          return true;
+        }
+        const patientId = store.normalizePatientId(raw);
+        if (!patientId) {
+          setStatus(t("index.patient_id_invalid"));
+          idInput.setAttribute("aria-invalid", "true");
+          idInput.focus();
+          return false;
+        }
+        idInput.removeAttribute("aria-invalid");
+        localStorage.setItem(LS_KEYS.visit, JSON.stringify({ patient_id: patientId, visit: select.value }));
+        return true;
+      }
+    };
+  }
+
+  // One button per released language; the choice is saved (CATI18n.STORAGE_KEY) for the survey and results pages.
+  // Hidden while English is the only released language.
+  async function renderLanguagePicker() {
+    const host = document.querySelector('[data-role="langPicker"]');
+    const wrap = document.querySelector('[data-role="langPickerWrap"]');
+    const i18n = window.CATI18n;
+    if (!host || !i18n) return;
+    host.innerHTML = "";
+    const offered = [];
+    for (const [code, name] of Object.entries(i18n.LANGUAGES)) {
+      if (await isLanguageReleased(code)) offered.push([code, name]);
+    }
+    if (wrap) wrap.hidden = offered.length < 2;
+    for (const [code, name] of offered) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "btn secondary langOption";
+      b.lang = code;
+      b.textContent = name;
+      b.setAttribute("aria-pressed", code === i18n.getLanguage() ? "true" : "false");
+      b.addEventListener("click", async () => {
+        const lang = i18n.setLanguage(code, localStorage);
+        await loadCatalogs(lang);
+        document.documentElement.lang = lang;
+        i18n.applyStatic(document);
+        for (const other of host.querySelectorAll("button")) {
+          other.setAttribute("aria-pressed", other.lang === lang ? "true" : "false");
+        }
+        setStatus("");
+      });
+      host.appendChild(b);
+    }
+  }
+
   function renderSurveyShell() {
     // survey.html provides the full shell. Keep fallback if someone navigates directly without it.
     const root = document.querySelector('[data-role="surveyRoot"]') || document.body;
@@ -273,36 +667,59 @@
       root.innerHTML = `
         <main class="wrap"><section class="card">
           <div class="qLead" data-role="qlead"></div>
-          <div class="qStem" data-role="qstem"></div>
+          <div class="qStem" id="qstem" data-role="qstem"></div>
           <div class="options" data-role="options"></div>
+          <div class="surveyNav"><button class="btn secondary" data-role="back" type="button" hidden>${escapeHtml(t("survey.back"))}</button></div>
           <div class="muted" data-role="progress"></div>
-          <button class="btn secondary" data-role="quit">Quit</button>
+          <button class="btn secondary" data-role="quit">${escapeHtml(t("survey.quit"))}</button>
           <div class="status" data-role="status"></div>
         </section></main>`;
     }
   }
 
 
-  function setProgressText(n, maxItems) {
+  // Returns the percentage shown (null without a fraction or maximum); the ring is also an ARIA progressbar
+  function setProgressText(n, maxItems, fraction) {
     const el = document.querySelector('[data-role="progress"]');
     const pctEl = document.querySelector('[data-role="progressPct"]');
     const ring = document.querySelector('[data-role="progressRing"]');
     if (el) el.textContent = "";
-    if (maxItems && pctEl && ring) {
-      const pct = Math.max(0, Math.min(100, Math.round(100 * (n / maxItems))));
+    const f = Number.isFinite(fraction) ? fraction : (maxItems ? n / maxItems : null);
+    if (f === null) return null;
+    const pct = Math.max(0, Math.min(100, Math.round(100 * f)));
+    if (pctEl && ring) {
       pctEl.textContent = `${pct}%`;
       ring.style.setProperty('--pct', `${pct}%`);
+      ring.setAttribute("aria-valuenow", String(pct));
     }
+    return pct;
   }
 
 
-  function renderItem(item, onAnswer) {
+  // Item translations for the session language ({ id: { stem, options } }); empty for English
+  let itemTranslations = {};
+
+  // Stem and option labels in the session language; the bank's English text where no translation applies
+  function displayText(item) {
+    const entry = itemTranslations[item.id || item.item_id];
+    if (window.CATI18n) return window.CATI18n.itemText(item, entry);
+    return {
+      stem: String(item.stem || item.question || item.item_text || item.label || "").trim(),
+      options: item.response_options || item.options || []
+    };
+  }
+
+  // selectedIndex (optional): previously chosen option, highlighted when the patient steps back.
+  function renderItem(item, onAnswer, selectedIndex) {
     const stemEl = document.querySelector('[data-role="qstem"]');
     const optEl = document.querySelector('[data-role="options"]');
     if (!stemEl || !optEl) return;
 
     const domain = item.domain || item.dimension || "";
-    const stemRaw = String(item.stem || item.question || item.item_text || item.label || "(missing stem)").trim();
+    const text = displayText(item);
+    const stemRaw = text.stem;
+    // The asset validator blocks a start on items without text; never show a placeholder to a patient
+    if (!stemRaw) throw new Error(t("error.missing_stem", { id: item.id || "" }));
 
     // Normalize lead-in wording (display only)
     const stemNorm = stemRaw.replace(/^In the past 7 days/i, "In the last 7 days");
@@ -310,50 +727,191 @@
     // PROMIS 7-day lead-in: ONLY for Anxiety, Depression, Fatigue, Pain Interference
     // NOT for Physical Function or Participation (Social Roles)
     // Merge lead-in directly into stem text (not separate element)
+    const leadIn = t("item.lead_in_7d");
     const needs7dLeadIn = ["Anxiety","Depression","Fatigue","Pain_Interference"].includes(domain);
-    const has7d = /^in the (last|past) 7 days/i.test(stemNorm);
+    const has7d = /^in the (last|past) 7 days/i.test(stemNorm) ||
+      stemNorm.toLowerCase().startsWith(leadIn.replace(/[\s,]+$/, "").toLowerCase());
     const fullStem = (needs7dLeadIn && !has7d)
-      ? "In the last 7 days, " + stemNorm
+      ? leadIn + stemNorm
       : stemNorm;
 
     stemEl.textContent = fullStem;
+    // Move focus to the new question so screen readers read it and keyboard users start from the top
+    stemEl.setAttribute("tabindex", "-1");
+    stemEl.focus();
 
     optEl.innerHTML = "";
+    clearOptionGroup(optEl);
 
-    const opts = item.response_options || item.options || [];
+    const opts = text.options;
     if (!Array.isArray(opts) || opts.length === 0) {
       const p = document.createElement("p");
       p.className = "muted";
-      p.textContent = "No response options found for this item.";
+      p.textContent = t("item.no_options");
       optEl.appendChild(p);
       return;
     }
 
+    // Radiogroup labelled by the stem, with one tab stop (the checked option, else the first);
+    // bindSurveyKeys() adds arrow-key movement and number-key answers
+    optEl.setAttribute("role", "radiogroup");
+    if (stemEl.id) optEl.setAttribute("aria-labelledby", stemEl.id);
+    if (document.getElementById("optionsHint")) optEl.setAttribute("aria-describedby", "optionsHint");
+    const checked = (typeof selectedIndex === "number" && selectedIndex >= 0 && selectedIndex < opts.length) ? selectedIndex : -1;
     opts.forEach((label, idx) => {
       const b = document.createElement("button");
       b.className = "btn";
       b.type = "button";
-      b.textContent = String(label);
+      b.setAttribute("role", "radio");
+      b.setAttribute("aria-checked", idx === checked ? "true" : "false");
+      b.tabIndex = idx === Math.max(checked, 0) ? 0 : -1;
+      if (opts.length <= 9) {
+        const key = document.createElement("span");
+        key.className = "optKey";
+        key.setAttribute("aria-hidden", "true");
+        key.textContent = String(idx + 1);
+        b.appendChild(key);
+      }
+      const labelEl = document.createElement("span");
+      labelEl.textContent = String(label);
+      b.appendChild(labelEl);
+      if (idx === checked) b.classList.add("selected");
       b.addEventListener("click", () => onAnswer(idx));
       optEl.appendChild(b);
     });
   }
 
+  // Keyboard support for the answer radiogroup: arrow keys/Home/End move between options (moving
+  // does not answer), Enter/Space or a click answers, and 1–9 answer directly. Installed once per page.
+  function bindSurveyKeys() {
+    document.addEventListener("keydown", (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      const optEl = document.querySelector('[data-role="options"]');
+      const radios = optEl ? Array.from(optEl.querySelectorAll('[role="radio"]')) : [];
+      if (!radios.length) return;
+      if (/^[1-9]$/.test(e.key)) {
+        // Holding a key down must not answer the following questions too
+        if (e.repeat) return;
+        const target = radios[Number(e.key) - 1];
+        if (target) {
+          e.preventDefault();
+          target.click();
+        }
+        return;
+      }
+      const i = radios.indexOf(document.activeElement);
+      if (i < 0) return;
+      let next = null;
+      if (e.key === "ArrowDown" || e.key === "ArrowRight") next = (i + 1) % radios.length;
+      else if (e.key === "ArrowUp" || e.key === "ArrowLeft") next = (i - 1 + radios.length) % radios.length;
+      else if (e.key === "Home") next = 0;
+      else if (e.key === "End") next = radios.length - 1;
+      if (next === null) return;
+      e.preventDefault();
+      radios.forEach((r, k) => { r.tabIndex = k === next ? 0 : -1; });
+      radios[next].focus();
+    });
+  }
+
+
+  // Renders a message with a set of choices in the question area; resolves with the chosen value.
+  function promptChoice(message, choices) {
+    return new Promise((resolve) => {
+      const stemEl = document.querySelector('[data-role="qstem"]');
+      const optEl = document.querySelector('[data-role="options"]');
+      if (!stemEl || !optEl) return resolve(choices.length ? choices[0].value : null);
+      stemEl.textContent = message;
+      stemEl.setAttribute("tabindex", "-1");
+      stemEl.focus();
+      optEl.innerHTML = "";
+      clearOptionGroup(optEl);
+      for (const c of choices) {
+        const b = document.createElement("button");
+        b.className = c.secondary ? "btn secondary" : "btn";
+        b.type = "button";
+        b.textContent = c.label;
+        b.addEventListener("click", () => resolve(c.value));
+        optEl.appendChild(b);
+      }
+    });
+  }
+
+  // Decide whether to resume a stored snapshot. Returns the snapshot to resume, or null for a fresh start.
+  async function chooseResume(bank, policy, provenance) {
+    const snap = readSessionSnapshot();
+    if (!isUnfinishedSnapshot(snap)) return null;
+
+    const maxAgeHours = policy && Number.isFinite(policy.resume_max_age_hours) ? policy.resume_max_age_hours : undefined;
+    const engineNs = window.JointCATEngine;
+    // Coded reasons are translated as resume.problem.<code>; the engine's English text is the fallback
+    const check = (engineNs && typeof engineNs.resumeCheck === "function")
+      ? engineNs.resumeCheck(bank, snap, { maxAgeHours, provenance })
+      : { code: "unsupported", message: "This build cannot resume saved surveys.", vars: {} };
+
+    setStatus("");
+    if (check) {
+      const key = `resume.problem.${check.code}`;
+      const problem = (window.CATI18n && window.CATI18n.has(key)) ? t(key, check.vars) : check.message;
+      resetSession();
+      await promptChoice(t("resume.problem", { problem }), [
+        { label: t("resume.start_new"), value: "new" }
+      ]);
+      return null;
+    }
+
+    const n = snap.administered.length;
+    const choice = await promptChoice(
+      tn("resume.unfinished", n),
+      [
+        { label: t("resume.resume"), value: "resume" },
+        { label: t("resume.start_over"), value: "new", secondary: true }
+      ]
+    );
+    if (choice === "resume") return snap;
+    resetSession();
+    return null;
+  }
 
   async function initSurvey() {
     attachGlobalErrorHandlers();
 
     renderSurveyShell();
-    setStatus("Loading CAT…");
+    bindSurveyKeys();
+    setStatus(t("status.loading"));
+
+    const language = currentLanguage();
+    // English reads the bank's own text; other languages load items.<lang>.json (keyed items_<lang> in the manifest)
+    const translationKey = language === "en" ? null : `items_${language}`;
 
-    let bank, constraints, norms, policy;
+    let bank, constraints, norms, policy, provenance;
     try {
-      [bank, constraints, norms, policy] = await Promise.all([
-        fetchJSON(PATHS.bank),
-        fetchJSON(PATHS.constraints).catch(() => ({})),
-        fetchJSON(PATHS.norms).catch(() => ({})),
-        fetchJSON(PATHS.policy),
+      const missing = { data: {}, sha256: null };
+      const [bankF, constraintsF, normsF, policyF, version, manifest, translationF, ...textF] = await Promise.all([
+        fetchJSONWithHash(PATHS.bank),
+        fetchJSONWithHash(PATHS.constraints).catch(() => missing),
+        fetchJSONWithHash(PATHS.norms).catch(() => missing),
+        fetchJSONWithHash(PATHS.policy),
+        fetchJSON(PATHS.version).catch(() => null),
+        fetchJSON(PATHS.manifest).catch(() => null),
+        translationKey ? fetchJSONWithHash(`${PATHS.i18n}/items.${language}.json`).catch(() => missing) : null,
+        ...Object.values(PATHS.itemText).map((url) => fetchJSONWithHash(url).catch(() => missing)),
       ]);
+      const codeHashes = await pageScriptHashes();
+      [bank, constraints, norms, policy] = [bankF.data, constraintsF.data, normsF.data, policyF.data];
+
+      // Tie the calibration files to this build; stamped into every session and results payload
+      const checked = checkManifest(manifest, version, bank, {
+        bank: bankF.sha256, policy: policyF.sha256, norms: normsF.sha256, constraints: constraintsF.sha256,
+        ...Object.fromEntries(Object.keys(PATHS.itemText).map((key, i) => [key, textF[i].sha256])),
+        ...(translationKey ? { [translationKey]: translationF.sha256 } : {})
+      }, codeHashes);
+      provenance = checked.provenance;
+      window.CAT_PROVENANCE = provenance;
+      if (checked.problems.length) {
+        console.error("Asset manifest mismatch:\n  " + checked.problems.join("\n  "));
+        renderBlockingError(t("error.release_mismatch"), checked.problems);
+        return;
+      }
 
       // Expose loaded assets for debugging and for engine fallbacks
       window.ITEMBANK = bank;
@@ -365,6 +923,32 @@
       window.CAT_POLICY = policy;
       window.__CAT_ASSETS__ = { bank, norms, constraints, policy };
     
+      // Item-text layer: external wording fills items without inline text (bank text wins)
+      let itemTextReport = null;
+      if (window.CATItemText) {
+        const merged = window.CATItemText.applyItemText(bank, textF.map((f) => f.data));
+        bank = merged.bank;
+        itemTextReport = merged.report;
+      }
+
+      // Refuse to run on inconsistent assets (bank/constraints/norms out of sync, missing item text)
+      const validator = window.CATAssetValidator;
+      if (validator) {
+        const translations = translationKey ? { [language]: translationF.data } : {};
+        const report = validator.validateAssets({ bank, constraints, norms, itemText: itemTextReport, translations });
+        window.CAT_ASSET_REPORT = report;
+        if (report.warnings.length) console.warn(validator.formatReport(Object.assign({}, report, { errors: [] })));
+        if (!report.ok) {
+          console.error(validator.formatReport(report));
+          renderBlockingError(
+            t("error.inconsistent_assets"),
+            report.errors.map(e => `[${e.asset}] ${e.path ? e.path + ": " : ""}${e.message}`)
+          );
+          return;
+        }
+      }
+      if (translationKey && window.CATItemText) itemTranslations = window.CATItemText.normalizeResource(translationF.data);
+
       // --- POLICY MERGE FIX ---
       // Ensure frozen_cat_policy.json actually drives the CAT engine by merging it into bank.cat_config.
       // (Engine reads thresholds/limits from bank.cat_config; we still pass `policy` separately for transparency.)
@@ -377,14 +961,20 @@
       return;
     }
 
+    // Taken before chooseResume: "Start over" resets the session, which also clears the context
+    const visitContext = readVisitContext();
+    const resumeSnap = await chooseResume(bank, policy, provenance);
+
     let engine;
     try {
-      engine = makeEngine({ bank, constraints, policy, norms });
+      engine = makeEngine({ bank, constraints, policy, norms, session: resumeSnap, seed: resumeSnap ? undefined : patientSeed(), provenance, language, visit: resumeSnap ? undefined : visitContext });
     } catch (e) {
       console.error(e);
       setStatus(String(e.message || e));
       return;
     }
+    // Used up: a new session now carries it, and a resumed session keeps its own
+    clearVisitContext();
 
     const api = engineAPI(engine);
 
@@ -397,6 +987,42 @@
       });
     }
 
+    // Persist engine session so SRS classic scoring can be computed on results
+    // (and so the stored snapshot follows Back navigation too).
+    function persistSession() {
+      try {
+        const snap = api.serialize();
+        if (snap) localStorage.setItem(LS_KEYS.session, JSON.stringify(snap));
+      } catch (e2) { /* ignore */ }
+    }
+
+    // Answer to highlight when re-presenting an item after "Previous question"
+    let previousResponse = null;
+
+    const backBtn = document.querySelector('[data-role="back"]');
+    function updateBackButton() {
+      if (!backBtn) return;
+      let canBack = false;
+      try { canBack = api.canGoBack(); } catch (_) {}
+      backBtn.hidden = !canBack;
+      backBtn.disabled = !canBack;
+    }
+    if (backBtn) {
+      backBtn.addEventListener("click", () => {
+        try {
+          const res = api.back();
+          if (!res) return;
+          previousResponse = (typeof res.previous_response === "number") ? res.previous_response : null;
+          persistSession();
+        } catch (e) {
+          console.error(e);
+          setStatus(String(e.message || e));
+          return;
+        }
+        try { step(); } catch (e) { renderError(e && e.message ? e.message : String(e)); }
+      });
+    }
+
     async function step() {
       if (api.isFinished()) {
         let results = api.getResults();
@@ -408,9 +1034,6 @@
         return;
       }
 
-      const prog = api.getProgress();
-      setProgressText(prog.nAnswered || 0, prog.maxItems || (bank && bank.cat_config && bank.cat_config.max_items) || (policy && policy.max_items) || 18);
-
       let item;
       try {
         item = api.getNextItem();
@@ -428,25 +1051,29 @@
         item = bank.items[item];
       }
 
+      // After selection, so the forecast starts from the item about to be shown
+      const prog = api.getProgress();
+      const pct = setProgressText(prog.nAnswered || 0, prog.maxItems || (bank && bank.cat_config && bank.cat_config.max_items) || (policy && policy.max_items) || 18, prog.fraction);
+
       setStatus("");
+      const selectedIndex = previousResponse;
+      previousResponse = null;
       renderItem(item, (choiceIndex) => {
         try {
           api.answer(item.id || item.item_id || item.code || item.name, choiceIndex);
-          // Persist engine session so SRS classic scoring can be computed on results.
-          try {
-            const snap = api.serialize();
-            if (snap) localStorage.setItem(LS_KEYS.session, JSON.stringify(snap));
-          } catch (e2) { /* ignore */ }
+          persistSession();
         } catch (e) {
           console.error(e);
           setStatus(String(e.message || e));
           return;
         }
         try { step(); } catch (e) { renderError(e && e.message ? e.message : String(e)); }
-      });
+      }, selectedIndex);
+      updateBackButton();
+      announce(t("a11y.progress", { n: (prog.nAnswered || 0) + 1, pct: pct === null ? 0 : pct }));
     }
 
-    setStatus("Ready.");
+    setStatus(t("status.ready"));
     try { step(); } catch (e) { renderError(e && e.message ? e.message : String(e)); }
   }
 
@@ -472,7 +1099,8 @@
         const theta = toNumber(d.theta);
         const tRaw = toNumber(d.t_score ?? d.tScore ?? d.t);
         const t = (tRaw !== null) ? tRaw : (theta !== null ? (50 + 10*theta) : null);
-        rows.push({ name, theta, t });
+        // Sample-referenced percentile/severity computed by finish() from domain_norms_REAL.json
+        rows.push({ name, theta, t, pct: toNumber(d.percentile), sev: d.severity || "" });
       }
     } else if (domainObj) {
       for (const [name, v] of Object.entries(domainObj)) {
@@ -503,21 +1131,10 @@
     }
 
     const PROMIS_FUNCTION_DOMAINS = new Set(["Physical_Function", "Participation"]);
-    const PROMIS_LABELS = {
-      Anxiety: "Anxiety",
-      Depression: "Depression",
-      Fatigue: "Fatigue",
-      Pain_Interference: "Pain Interference",
-      Participation: "Social Roles",
-      Physical_Function: "Physical Function"
-    };
-    const SRS_LABELS = {
-      SRS_Pain: "SRS Pain",
-      SRS_Self_Image: "SRS Self-Image",
-      SRS_Function: "SRS Function",
-      SRS_Mental_Health: "SRS Mental Health",
-      SRS_Satisfaction: "SRS Satisfaction"
-    };
+    // Display names come from the UI catalogs (domain.<name>)
+    const domainLabels = (names) => Object.fromEntries(names.map(d => [d, t(`domain.${d}`)]));
+    const PROMIS_LABELS = domainLabels(["Anxiety", "Depression", "Fatigue", "Pain_Interference", "Participation", "Physical_Function"]);
+    const SRS_LABELS = domainLabels(["SRS_Pain", "SRS_Self_Image", "SRS_Function", "SRS_Mental_Health", "SRS_Satisfaction"]);
 
     function toNumber(x){
       if (typeof x === "number" && Number.isFinite(x)) return x;
@@ -563,11 +1180,14 @@
       }
     }
 
+    // Category keys above are English; the pill shows the catalog text
+    const CATEGORY_KEYS = { "None to Slight": "category.none", "Mild": "category.mild", "Moderate": "category.moderate", "Severe": "category.severe" };
+
 function promisInterpretation(domain){
       const isFunction = PROMIS_FUNCTION_DOMAINS.has(domain);
       return isFunction
-        ? "Higher scores indicate BETTER function/ability."
-        : "Higher scores indicate MORE of the symptom/problem.";
+        ? t("interp.function")
+        : t("interp.symptom");
     }
 
     // Build PROMIS table from rows (exclude SRS_* domains)
@@ -576,6 +1196,8 @@ function promisInterpretation(domain){
       .map(r => ({
         domain: PROMIS_LABELS[r.name] || r.name,
         t: r.t,
+        pct: r.pct,
+        sev: r.sev,
         cat: promisCategory(r.name, r.t),
         interp: promisInterpretation(r.name)
       }));
@@ -584,27 +1206,19 @@ function promisInterpretation(domain){
     // Higher SRS scores = BETTER (function domains - same direction as Physical_Function/Participation)
     const SRS_FUNCTION_DOMAINS = new Set(["SRS_Function", "SRS_Mental_Health", "SRS_Pain", "SRS_Satisfaction", "SRS_Self_Image"]);
 
-    function srsCategory(domain, t, mean){
-      // Category driven by mean (1–5) when available — ensures mean and category always agree.
-      // All SRS domains: 1=worst, 5=best. Same thresholds for all domains.
-      // If mean not available, fall back to T-score.
-      if (mean !== null && mean !== undefined && Number.isFinite(mean)) {
-        if (mean >= 4.0) return "None to Slight";
-        if (mean >= 3.0) return "Mild";
-        if (mean >= 2.0) return "Moderate";
-        return "Severe";
-      }
-      // T-score fallback (higher = better for SRS)
-      const tt = toNumber(t);
-      if (tt === null) return "";
-      if (tt > 55) return "None to Slight";
-      if (tt >= 50) return "Mild";
-      if (tt >= 40) return "Moderate";
-      return "Severe";
+    // "62nd (High)": sample percentile with the norms' severity band
+    function fmtSample(pct, sev){
+      if (pct === null || pct === undefined) return '<span class="smallMuted">—</span>';
+      return `${ordinal(pct)}${sev ? ` <span class="smallMuted">(${escapeHtml(severityText(sev))})</span>` : ""}`;
     }
 
+    const normsSrc = (src && src.norms_source) || null;
+    const normsLabel = normsSrc && normsSrc.label
+      ? t("results.norms_label", { label: normsSrc.label, warning: normsSrc.warning || t("results.norms_default_warning") })
+      : t("results.norms_none");
+
     function srsInterpretation(domain){
-      return "Higher scores indicate BETTER status.";
+      return t("interp.srs");
     }
 
     // Compute SRS domain means (1–5) from administered items for familiar clinical reference.
@@ -640,7 +1254,8 @@ function promisInterpretation(domain){
           domain: SRS_LABELS[r.name] || r.name,
           t: r.t,
           mean,
-          cat: srsCategory(r.name, r.t, mean),
+          pct: r.pct,
+          sev: r.sev,
           interp: srsInterpretation(r.name)
         };
       });
@@ -651,8 +1266,8 @@ function promisInterpretation(domain){
     const srsTotalN   = srsAllVals.reduce((s,a) => s + a.n, 0);
     const srsTotalMean = srsTotalN > 0 ? srsTotalSum / srsTotalN : null;
 
-    const stop = results && results.stop_reason ? `Stop reason: ${results.stop_reason}` : null;
-    const meta = results && typeof results.total_items === "number" ? `Items administered: ${results.total_items}` : null;
+    const stop = results && results.stop_reason ? t("results.stop_reason", { reason: results.stop_reason }) : null;
+    const meta = results && typeof results.total_items === "number" ? t("results.items_administered", { n: results.total_items }) : null;
     const metaText = [stop, meta].filter(Boolean).join(" • ");
 
     // If results.html hosts are present, populate them. Otherwise, fallback to a minimal legacy view.
@@ -663,10 +1278,11 @@ function promisInterpretation(domain){
         <table class="resultsTable">
           <thead>
             <tr>
-              <th>Domain</th>
-              <th>T-score</th>
-              <th>Category</th>
-              <th>Interpretation</th>
+              <th>${escapeHtml(t("results.col.domain"))}</th>
+              <th>${escapeHtml(t("results.col.t_score"))}</th>
+              <th>${escapeHtml(t("results.col.category"))} <span class="smallMuted">${escapeHtml(t("results.col.category_note"))}</span></th>
+              <th>${escapeHtml(t("results.col.sample_pct"))}</th>
+              <th>${escapeHtml(t("results.col.interpretation"))}</th>
             </tr>
           </thead>
           <tbody>
@@ -674,27 +1290,29 @@ function promisInterpretation(domain){
               <tr>
                 <td>${escapeHtml(r.domain)}</td>
                 <td>${fmt1(r.t)}</td>
-                <td><span class="pill ${r.cat === 'Severe' ? 'pill-severe' : r.cat === 'Moderate' ? 'pill-moderate' : r.cat === 'Mild' ? 'pill-mild' : 'pill-none'}">${escapeHtml(r.cat)}</span></td>
+                <td><span class="pill ${r.cat === 'Severe' ? 'pill-severe' : r.cat === 'Moderate' ? 'pill-moderate' : r.cat === 'Mild' ? 'pill-mild' : 'pill-none'}">${escapeHtml(CATEGORY_KEYS[r.cat] ? t(CATEGORY_KEYS[r.cat]) : r.cat)}</span></td>
+                <td>${fmtSample(r.pct, r.sev)}</td>
                 <td>${escapeHtml(r.interp)}</td>
               </tr>
             `).join("")}
           </tbody>
         </table>
-      ` : `<div class="status">No PROMIS results found.</div>`;
+        <div class="smallMuted" style="margin-top:6px">${escapeHtml(t("results.promis_note"))} ${escapeHtml(normsLabel)}</div>
+      ` : `<div class="status">${escapeHtml(t("results.no_promis"))}</div>`;
 
       srsHost.innerHTML = srsRows.length ? `
         ${srsTotalMean !== null ? `
           <div class="srsTotal">
-            <div><b>Overall SRS Mean (1–5)</b>: ${fmt1(srsTotalMean)} </div>
+            <div><b>${escapeHtml(t("results.srs_total"))}</b>: ${fmt1(srsTotalMean)} </div>
           </div>` : ''}
         <table class="resultsTable" style="margin-top:10px">
           <thead>
             <tr>
-              <th>Domain</th>
-              <th>T-score <span class="smallMuted">(CAT/IRT)</span></th>
-              <th>Mean (1–5) <span class="smallMuted">(classic)</span></th>
-              <th>Category</th>
-              <th>Interpretation</th>
+              <th>${escapeHtml(t("results.col.domain"))}</th>
+              <th>${escapeHtml(t("results.col.t_score"))} <span class="smallMuted">${escapeHtml(t("results.col.t_score_note"))}</span></th>
+              <th>${escapeHtml(t("results.col.mean"))} <span class="smallMuted">${escapeHtml(t("results.col.mean_note"))}</span></th>
+              <th>${escapeHtml(t("results.col.sample_pct"))}</th>
+              <th>${escapeHtml(t("results.col.interpretation"))}</th>
             </tr>
           </thead>
           <tbody>
@@ -703,19 +1321,22 @@ function promisInterpretation(domain){
                 <td>${escapeHtml(r.domain)}</td>
                 <td>${fmt1(r.t)}</td>
                 <td>${r.mean !== null ? fmt1(r.mean) : '<span class="smallMuted">—</span>'}</td>
-                <td><span class="pill ${r.cat === 'Severe' ? 'pill-severe' : r.cat === 'Moderate' ? 'pill-moderate' : r.cat === 'Mild' ? 'pill-mild' : 'pill-none'}">${escapeHtml(r.cat)}</span></td>
+                <td>${fmtSample(r.pct, r.sev)}</td>
                 <td>${escapeHtml(r.interp)}</td>
               </tr>
             `).join("")}
           </tbody>
         </table>
-        <div class="smallMuted" style="margin-top:6px">T-score uses IRT theta (50 = population mean, SD = 10). Mean (1–5) is the traditional SRS-22r scale for clinical reference.</div>
-      ` : `<div class="status">No SRS results found.</div>`;
+        <div class="smallMuted" style="margin-top:6px">${escapeHtml(t("results.srs_note"))} ${escapeHtml(normsLabel)}</div>
+      ` : `<div class="status">${escapeHtml(t("results.no_srs"))}</div>`;
+
+      renderClinicianItems(src, Object.assign({}, PROMIS_LABELS, SRS_LABELS));
+      renderConvergence(src, Object.assign({}, PROMIS_LABELS, SRS_LABELS));
 
       if (footerNote) {
         footerNote.innerHTML = `
           <div class="smallMuted">
-            Note: This is an adaptive assessment. Only domains with scorable responses are displayed.
+            ${escapeHtml(t("results.footer"))}
           </div>
         `;
       }
@@ -729,6 +1350,131 @@ function promisInterpretation(domain){
     `;
   }
 
+  // Clinician view: administered items grouped by domain with the domain's reported T-score,
+  // SE (T units), percentile and severity from finish().
+  function renderClinicianItems(src, labels) {
+    const host = document.querySelector('[data-role="clinicianItems"]');
+    if (!host) return;
+    const items = (src && Array.isArray(src.items_administered)) ? src.items_administered : [];
+    const domains = (src && Array.isArray(src.domain_results)) ? src.domain_results : [];
+    if (!items.length) {
+      host.innerHTML = `<div class="smallMuted">${escapeHtml(t("results.clin.none"))}</div>`;
+      return;
+    }
+    const num = (x, digits) => (typeof x === "number" && Number.isFinite(x)) ? x.toFixed(digits) : "—";
+    const stepOf = new Map(items.map((r, i) => [r, i + 1]));
+    host.innerHTML = domains
+      .map(dr => ({ dr, rows: items.filter(r => r.domain === dr.domain) }))
+      .filter(g => g.rows.length)
+      .map(({ dr, rows }) => `
+        <div class="clinDomain">
+          <div class="clinDomainHead">
+            <span class="clinDomainName">${escapeHtml(labels[dr.domain] || dr.domain)}</span>
+            <span>T ${num(dr.t_score, 1)} ± ${typeof dr.se === "number" ? num(10 * dr.se, 1) : "—"}</span>
+            <span>${escapeHtml(t("results.clin.theta", { theta: num(dr.theta, 2), se: num(dr.se, 2) }))}</span>
+            <span>${escapeHtml(typeof dr.percentile === "number" ? t("results.clin.percentile", { ordinal: ordinal(dr.percentile) }) : t("results.clin.percentile_none"))}</span>
+            ${dr.severity ? `<span>${escapeHtml(severityText(dr.severity))}</span>` : ""}
+          </div>
+          <table class="resultsTable clinTable">
+            <thead><tr><th>#</th><th>${escapeHtml(t("results.clin.col.question"))}</th><th>${escapeHtml(t("results.clin.col.answer"))}</th><th>${escapeHtml(t("results.clin.col.information"))}</th></tr></thead>
+            <tbody>
+              ${rows.map(r => `
+                <tr>
+                  <td>${stepOf.get(r)}</td>
+                  <td>${escapeHtml(r.stem || r.item_id)} <span class="smallMuted">${escapeHtml(r.item_id)}</span></td>
+                  <td>${escapeHtml(r.response != null ? r.response : "—")}</td>
+                  <td>${num(r.info_at_final_theta, 2)}</td>
+                </tr>`).join("")}
+            </tbody>
+          </table>
+        </div>`).join("");
+  }
+
+  // Patients see the summary; the clinician view is opened with the toggle or ?view=clinician
+  function bindClinicianToggle() {
+    const btn = document.getElementById("btnClinician");
+    const view = document.querySelector('[data-role="clinicianView"]');
+    if (!btn || !view) return;
+    const show = (on) => {
+      view.hidden = !on;
+      btn.setAttribute("aria-pressed", on ? "true" : "false");
+      btn.textContent = on ? t("results.btn.clinician_hide") : t("results.btn.clinician");
+    };
+    btn.addEventListener("click", () => show(view.hidden));
+    show(new URLSearchParams(window.location.search).get("view") === "clinician");
+  }
+
+  // Convergence chart (clinician-facing): one small SVG per measured domain with the T-score
+  // estimate and a ±1 SE band against item number, drawn from results.trajectory.
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  function svgEl(tag, attrs, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [k, v] of Object.entries(attrs || {})) el.setAttribute(k, String(v));
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function convergenceChart(traj, d, label) {
+    const W = 320, H = 160, L = 34, R = 10, T = 26, B = 24;
+    const i = traj.domains.indexOf(d);
+    // Same T-score convention as finish(): PROMIS function domains are reported higher = better
+    const sign = (d === "Physical_Function" || d === "Participation") ? -1 : 1;
+    const pts = [{ step: 0, theta: traj.start.theta[i], se: traj.start.se[i], own: false }].concat(
+      traj.steps.filter(st => st.theta && st.se).map(st => ({ step: st.step, theta: st.theta[i], se: st.se[i], own: st.domain === d, st }))
+    ).map(p => Object.assign(p, { t: 50 + sign * 10 * p.theta, tse: 10 * p.se }));
+
+    const n = pts[pts.length - 1].step || 1;
+    let lo = Math.min(...pts.map(p => p.t - p.tse)), hi = Math.max(...pts.map(p => p.t + p.tse));
+    lo = Math.max(0, Math.floor(Math.min(lo, 40) / 10) * 10);
+    hi = Math.min(100, Math.ceil(Math.max(hi, 60) / 10) * 10);
+    const x = (step) => +(L + (W - L - R) * step / n).toFixed(1);
+    const y = (t) => +(T + (H - T - B) * (hi - Math.max(lo, Math.min(hi, t))) / (hi - lo)).toFixed(1);
+
+    const last = pts[pts.length - 1];
+    const svg = svgEl("svg", { viewBox: `0 0 ${W} ${H}`, class: "convChart", role: "img",
+      "aria-label": tn("results.conv.aria", n, { label, t: last.t.toFixed(1), se: last.tse.toFixed(1) }) });
+    svg.appendChild(svgEl("text", { x: L, y: 14, class: "convTitle" }, `${label}  ${last.t.toFixed(1)} ± ${last.tse.toFixed(1)}`));
+
+    for (const t of [lo, 50, hi]) {
+      if (t < lo || t > hi) continue;
+      svg.appendChild(svgEl("line", { x1: L, x2: W - R, y1: y(t), y2: y(t), class: t === 50 ? "convRef" : "convGrid" }));
+      svg.appendChild(svgEl("text", { x: L - 4, y: y(t) + 4, class: "convAxis", "text-anchor": "end" }, t));
+    }
+    const tickEvery = n > 20 ? 10 : 5;
+    for (let k = 0; k <= n; k += tickEvery) {
+      svg.appendChild(svgEl("text", { x: x(k), y: H - 6, class: "convAxis", "text-anchor": "middle" }, k));
+    }
+
+    const upper = pts.map(p => `${x(p.step)},${y(p.t + p.tse)}`);
+    const lower = pts.slice().reverse().map(p => `${x(p.step)},${y(p.t - p.tse)}`);
+    svg.appendChild(svgEl("polygon", { points: upper.concat(lower).join(" "), class: "convBand" }));
+    svg.appendChild(svgEl("polyline", { points: pts.map(p => `${x(p.step)},${y(p.t)}`).join(" "), class: "convLine" }));
+
+    // Dots mark answers to this domain's items; hover shows the item and its selection score
+    for (const p of pts.filter(q => q.own)) {
+      const dot = svgEl("circle", { cx: x(p.step), cy: y(p.t), r: 3.5, class: "convDot" });
+      const sel = p.st.selection;
+      const score = sel && typeof sel.score === "number" ? t("results.conv.selection_score", { score: sel.score.toFixed(3) }) : (sel ? `, ${sel.criterion}` : "");
+      dot.appendChild(svgEl("title", {}, t("results.conv.dot", { step: p.step, id: p.st.item_id, t: p.t.toFixed(1), se: p.tse.toFixed(1) }) + score));
+      svg.appendChild(dot);
+    }
+    return svg;
+  }
+
+  function renderConvergence(src, labels) {
+    const host = document.querySelector('[data-role="convergence"]');
+    const traj = src && src.trajectory;
+    if (!host) return;
+    host.innerHTML = "";
+    if (!traj || !Array.isArray(traj.steps) || !traj.steps.length) {
+      host.innerHTML = `<div class="smallMuted">${escapeHtml(t("results.conv.none"))}</div>`;
+      return;
+    }
+    const measured = traj.domains.filter(d => traj.steps.some(st => st.domain === d));
+    for (const d of measured) host.appendChild(convergenceChart(traj, d, labels[d] || d));
+  }
+
   function escapeHtml(s) {
     return String(s)
       .replaceAll("&", "&amp;")
@@ -737,8 +1483,28 @@ function promisInterpretation(domain){
   }
 
   
+  function readStoredResults() {
+    try { return JSON.parse(localStorage.getItem(LS_KEYS.results) || "null"); } catch { return null; }
+  }
+
+  function downloadFile(filename, text, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   function bindResultsActions() {
     const btnPdf = document.getElementById("btnPdf");
+    const btnFhir = document.getElementById("btnFhir");
+    const btnCsv = document.getElementById("btnCsv");
+    const btnCsvLong = document.getElementById("btnCsvLong");
+    const btnTsv = document.getElementById("btnTsv");
+    const btnTsvLong = document.getElementById("btnTsvLong");
     const btnPrint = document.getElementById("btnPrint");
     const btnEmail = document.getElementById("btnEmail");
     const btnSubmitFinish = document.getElementById("btnSubmitFinish");
@@ -751,17 +1517,188 @@ function promisInterpretation(domain){
     if (btnSubmitFinish) btnSubmitFinish.addEventListener("click", () => {
       window.location.href = "https://texasspineandscoliosis.com/";
     });
+    if (btnFhir) btnFhir.addEventListener("click", () => {
+      const results = readStoredResults();
+      if (!results || !window.CATFhirExport) {
+        setStatus(t("results.export_unavailable"));
+        return;
+      }
+      try {
+        const bundle = window.CATFhirExport.toBundle(results);
+        const day = (results.completed_at || new Date().toISOString()).slice(0, 10);
+        downloadFile(`spinepro_cat_fhir_${day}.json`, JSON.stringify(bundle, null, 2), "application/fhir+json");
+      } catch (e) {
+        console.error(e);
+        setStatus(String(e.message || e));
+      }
+    });
+    // Item-level research exports come from the stored session (raw/mapped responses, trajectory)
+    function bindCsv(btn, build, suffix, delimiter = ",") {
+      if (!btn) return;
+      const tsv = delimiter === "\t";
+      btn.addEventListener("click", () => {
+        const session = readSessionSnapshot();
+        if (!session || !window.CATCsvExport) {
+          setStatus(t("results.item_export_unavailable"));
+          return;
+        }
+        try {
+          const day = ((session.results && session.results.completed_at) || new Date().toISOString()).slice(0, 10);
+          const id = String(session.session_id || "session").slice(0, 8);
+          downloadFile(`spinepro_cat_${day}_${id}${suffix}.${tsv ? "tsv" : "csv"}`, build(session, { delimiter }),
+            tsv ? "text/tab-separated-values" : "text/csv");
+        } catch (e) {
+          console.error(e);
+          setStatus(String(e.message || e));
+        }
+      });
+    }
+    bindCsv(btnCsv, (s, o) => window.CATCsvExport.sessionTable(s, o), "");
+    bindCsv(btnCsvLong, (s, o) => window.CATCsvExport.longTable(s, o), "_long");
+    bindCsv(btnTsv, (s, o) => window.CATCsvExport.sessionTable(s, o), "", "\t");
+    bindCsv(btnTsvLong, (s, o) => window.CATCsvExport.longTable(s, o), "_long", "\t");
     if (btnEmail) btnEmail.addEventListener("click", () => {
       let payload = null;
       try { payload = JSON.parse(localStorage.getItem(LS_KEYS.results) || "null"); } catch {}
-      const subject = encodeURIComponent("PROMIS + SRS Assessment Results");
-      const body = encodeURIComponent(payload ? JSON.stringify(payload, null, 2) : "Results unavailable.");
+      const subject = encodeURIComponent(t("results.email_subject"));
+      const body = encodeURIComponent(payload ? JSON.stringify(payload, null, 2) : t("results.email_unavailable"));
       window.location.href = `mailto:?subject=${subject}&body=${body}`;
     });
   }
 
+  // Change from baseline (clinician view): tabulates every visit on file for the patient together with
+  // these results, with change, MCID and RCI per domain. Nothing is written until the clinician presses
+  // "Save this visit"; the record then replaces that visit's, unless a newer administration of it is
+  // already on file. Only results whose session was started with a patient ID typed on the start page
+  // carry a visit; anything else is neither shown nor filed.
+  async function renderVisitHistory(results) {
+    const section = document.querySelector('[data-role="visitHistory"]');
+    const host = document.querySelector('[data-role="changeTable"]');
+    const btnSave = document.querySelector('[data-role="saveVisit"]');
+    const btnDelete = document.querySelector('[data-role="deletePatient"]');
+    const store = window.CATPatientStore;
+    const raw = results && results.visit;
+    const patientId = raw && store && store.normalizePatientId(raw.patient_id);
+    if (!section || !host || !patientId || !raw.visit) return;
+    const visit = { patient_id: patientId, visit: raw.visit };
+    section.hidden = false;
+
+    const thresholds = store.resolveThresholds(await loadChangeThresholds());
+    // Until change_thresholds.json is marked final, MCID flags carry a provisional caveat
+    const provisional = !(thresholds.metadata && thresholds.metadata.status === "final");
+    const visitLabel = (v) => (window.CATI18n && window.CATI18n.has(`visit.${v}`)) ? t(`visit.${v}`) : v;
+    const head = document.querySelector('[data-role="visitPatient"]');
+    if (head) head.textContent = t("results.change.patient", { id: visit.patient_id, visit: visitLabel(visit.visit) });
+
+    const record = store.visitRecord(visit.patient_id, visit.visit, results);
+    let db, records;
+    try {
+      db = await store.open();
+      records = await store.listVisits(db, visit.patient_id);
+    } catch (e) {
+      console.error(e);
+      host.innerHTML = `<div class="status">${escapeHtml(t("results.change.unavailable"))}</div>`;
+      if (btnSave) btnSave.hidden = true;
+      if (btnDelete) btnDelete.hidden = true;
+      return;
+    }
+
+    const fmtSigned = (x, digits) => `${x > 0 ? "+" : x < 0 ? "−" : ""}${Math.abs(x).toFixed(digits)}`;
+    const mcidLabel = t(provisional ? "results.change.mcid_provisional" : "results.change.mcid");
+    function cell(c) {
+      if (!c) return '<span class="smallMuted">—</span>';
+      const tLine = `<div>${c.t_score.toFixed(1)}</div>`;
+      if (c.change === null) return tLine;
+      const cls = c.improvement > 0 ? "changeBetter" : c.improvement < 0 ? "changeWorse" : "";
+      const badges = [
+        c.meets_mcid ? `<span class="badge ${c.improvement > 0 ? "green" : "red"}">${escapeHtml(mcidLabel)}</span>` : "",
+        c.reliable ? `<span class="badge">${escapeHtml(t("results.change.reliable"))}</span>` : ""
+      ].join("");
+      const rci = c.rci === null ? "" : ` <span class="smallMuted">${escapeHtml(t("results.change.rci", { rci: fmtSigned(c.rci, 2) }))}</span>`;
+      return `${tLine}<div class="changeVal ${cls}">${fmtSigned(c.change, 1)}${rci}</div>${badges ? `<div class="changeBadges">${badges}</div>` : ""}`;
+    }
+
+    function draw() {
+      const existing = records.find(r => r.visit === visit.visit);
+      const saved = !!existing && existing.session_id === record.session_id;
+      const keptNewer = !!existing && !saved && String(existing.completed_at) > String(record.completed_at);
+      // Unsaved results are shown in their visit's column so the change can be reviewed before filing
+      const shown = keptNewer ? records : records.filter(r => r.visit !== visit.visit).concat([record]);
+      const notice = saved ? t("results.change.saved")
+        : keptNewer ? t("results.change.kept_newer", { visit: visitLabel(visit.visit) })
+        : t(existing ? "results.change.unsaved_replaces" : "results.change.unsaved", { visit: visitLabel(visit.visit) });
+      if (btnSave) btnSave.hidden = saved || keptNewer;
+
+      const cmp = store.compareVisits(shown, thresholds);
+      const baselineLabel = visitLabel(thresholds.baseline_visit);
+      host.innerHTML = `
+        <div class="status">${escapeHtml(notice)}</div>
+        ${cmp.baseline ? "" : `<div class="status">${escapeHtml(t("results.change.no_baseline", { baseline: baselineLabel }))}</div>`}
+        <table class="resultsTable changeTable">
+          <thead>
+            <tr>
+              <th>${escapeHtml(t("results.col.domain"))}</th>
+              ${cmp.visits.map(v => `<th${v === visit.visit ? ' class="changeCurrent"' : ""}>${escapeHtml(visitLabel(v))}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>
+            ${cmp.domains.map(d => `
+              <tr>
+                <td>${escapeHtml(t(`domain.${d.domain}`))}</td>
+                ${cmp.visits.map(v => `<td>${cell(d.cells[v])}</td>`).join("")}
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+        <div class="smallMuted" style="margin-top:6px">${escapeHtml(t("results.change.note", { baseline: baselineLabel, mcid: thresholds.default_mcid_t.toFixed(1), z: thresholds.rci_z }))}</div>
+        ${provisional ? `<div class="smallMuted">${escapeHtml(t("results.change.provisional", { mcid: thresholds.default_mcid_t.toFixed(1) }))}</div>` : ""}
+      `;
+    }
+    draw();
+
+    if (btnSave && !btnSave.dataset.bound) {
+      btnSave.dataset.bound = "1";
+      btnSave.addEventListener("click", async () => {
+        try {
+          await store.saveVisit(db, record);
+          records = records.filter(r => r.visit !== visit.visit).concat([record]);
+          // Filed: nothing pending may carry this patient into another administration
+          clearVisitContext();
+          draw();
+        } catch (e) {
+          console.error(e);
+          setStatus(String(e.message || e));
+        }
+      });
+    }
+
+    if (btnDelete && !btnDelete.dataset.bound) {
+      btnDelete.dataset.bound = "1";
+      btnDelete.addEventListener("click", async () => {
+        if (!window.confirm(t("results.change.delete_confirm", { id: visit.patient_id }))) return;
+        try {
+          const n = await store.deletePatient(db, visit.patient_id);
+          // Unlink the stored results too, so they can no longer be filed under this patient
+          const stored = readStoredResults();
+          if (stored && stored.visit) {
+            delete stored.visit;
+            localStorage.setItem(LS_KEYS.results, JSON.stringify(stored));
+          }
+          host.innerHTML = "";
+          btnDelete.hidden = true;
+          if (btnSave) btnSave.hidden = true;
+          setStatus(tn("results.change.deleted", n));
+        } catch (e) {
+          console.error(e);
+          setStatus(String(e.message || e));
+        }
+      });
+    }
+  }
+
 async function initResults() {
     bindResultsActions();
+    bindClinicianToggle();
     // Primary: render stored results
     let results = null;
     try {
@@ -771,12 +1708,15 @@ async function initResults() {
       results = null;
     }
     if (results && (results.domain_results || results.domains || (results.results && (results.results.domain_results || results.results.domains)))) {
+      // EHR integrations: CATFhirExport.toBundle(window.CAT_RESULTS, { patient: "Patient/..." })
+      window.CAT_RESULTS = results;
       // Load bank so we can compute SRS classic scoring direction reliably.
       loadJSON(PATHS.bank).then((bank)=>{
         renderResults(results, bank);
       }).catch(()=>{
         renderResults(results, null);
       });
+      renderVisitHistory(results).catch((e) => console.error(e));
       return;
     }
 
@@ -797,6 +1737,7 @@ async function initResults() {
         if (session.results) {
           localStorage.setItem(LS_KEYS.results, JSON.stringify(session.results));
           renderResults(session.results, bank);
+          renderVisitHistory(session.results).catch((e) => console.error(e));
           return;
         }
         // Otherwise, try engine.getResults if exposed
@@ -825,7 +1766,9 @@ async function initResults() {
   // -------------------------
   // Boot
   // -------------------------
-  window.addEventListener("DOMContentLoaded", () => {
+  window.addEventListener("DOMContentLoaded", async () => {
+    await initI18n();
+    bindDisplayToggle();
     const page = currentPage();
     if (page === "index") initIndex();
     else if (page === "survey") initSurvey();
@@ -0,0 +1,116 @@
+
+// SpinePRO Joint CAT research export
+// Item-level CSV/TSV built from a session snapshot (the object stored under
+// spinepro_cat_session_v1 or returned by engine._getSession()).
+//   sessionTable: one row per administered item, preceded by a "# key: value" header block
+//   longTable:    one row per administered item x domain, no header block, so files from many
+//                 sessions concatenate into one clinic-day table (see tools/combine_exports.js)
+const CATCsvExport = (() => {
+
+  const ITEM_COLUMNS = [
+    "step", "item_id", "domain", "raw_response", "response", "response_label",
+    "answered_at", "theta_after", "se_after", "global_se_after"
+  ];
+
+  const LONG_COLUMNS = [
+    "session_id", "bank_version", "stop_reason", "completed_at",
+    "step", "item_id", "item_domain", "raw_response", "response", "answered_at",
+    "domain", "theta_after", "se_after"
+  ];
+
+  function cell(v, delimiter){
+    if (v === null || v === undefined) return "";
+    if (typeof v === "number") return Number.isFinite(v) ? String(Number(v.toFixed(6))) : "";
+    const str = String(v);
+    return (str.includes(delimiter) || /["\r\n]/.test(str)) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  function line(values, delimiter){
+    return values.map(v => cell(v, delimiter)).join(delimiter);
+  }
+
+  function rms(xs){
+    const v = xs.filter(x => typeof x === "number");
+    return v.length ? Math.sqrt(v.reduce((a, x) => a + x * x, 0) / v.length) : null;
+  }
+
+  function sessionDomains(session){
+    const th = session.theta || {};
+    return Object.keys(th);
+  }
+
+  function labelFor(session, i){
+    const items = session.results && session.results.items_administered;
+    const r = items && items[i];
+    return r && typeof r.response === "string" ? r.response : null;
+  }
+
+  function requireSession(session){
+    if (!session || !Array.isArray(session.administered)) {
+      throw new Error("CSV export needs a session snapshot (administered items missing).");
+    }
+  }
+
+  function completedAt(session){
+    return (session.results && session.results.completed_at) || session.updated_at || null;
+  }
+
+  function sessionTable(session, opts = {}){
+    requireSession(session);
+    const delimiter = opts.delimiter || ",";
+    const domains = sessionDomains(session);
+    const prov = session.provenance || {};
+    const header = [
+      ["session_id", session.session_id],
+      ["bank_version", session.bank_version],
+      ["build", prov.build],
+      ["bank_sha256", prov.sha256 && prov.sha256.bank],
+      ["language", session.language],
+      ["scoring_method", session.scoring_method || (session.results && session.results.scoring_method)],
+      ["stop_reason", session.stop_reason],
+      ["started_at", session.created_at],
+      ["completed_at", completedAt(session)],
+      ["total_items", session.administered.length],
+      ["se_note", "theta_after/se_after are the running estimates the CAT used after each answer; final reported SEs are in the results"]
+    ].map(([k, v]) => `# ${k}: ${v === null || v === undefined ? "" : v}`);
+
+    const rows = session.administered.map((a, i) => {
+      const d = domains.indexOf(a.domain);
+      const theta = Array.isArray(a.theta_after) && d >= 0 ? a.theta_after[d] : null;
+      const se = Array.isArray(a.se_after) && d >= 0 ? a.se_after[d] : null;
+      return line([
+        i + 1, a.item_id, a.domain, a.raw_response, a.response, labelFor(session, i),
+        a.ts, theta, se, Array.isArray(a.se_after) ? rms(a.se_after) : null
+      ], delimiter);
+    });
+    return header.concat(line(ITEM_COLUMNS, delimiter), rows).join("\n") + "\n";
+  }
+
+  function longTable(session, opts = {}){
+    requireSession(session);
+    const delimiter = opts.delimiter || ",";
+    const domains = sessionDomains(session);
+    const rows = [];
+    if (opts.header !== false) rows.push(line(LONG_COLUMNS, delimiter));
+    session.administered.forEach((a, i) => {
+      domains.forEach((d, j) => {
+        rows.push(line([
+          session.session_id, session.bank_version, session.stop_reason, completedAt(session),
+          i + 1, a.item_id, a.domain, a.raw_response, a.response, a.ts,
+          d, Array.isArray(a.theta_after) ? a.theta_after[j] : null, Array.isArray(a.se_after) ? a.se_after[j] : null
+        ], delimiter));
+      });
+    });
+    return rows.join("\n") + "\n";
+  }
+
+  return { sessionTable, longTable, ITEM_COLUMNS, LONG_COLUMNS };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATCsvExport = CATCsvExport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATCsvExport;
+}
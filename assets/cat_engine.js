@@ -71,6 +71,61 @@ const JointCATEngine = (() => {
     return I;
   }
 
+  // --- RNG helper (deterministic per-session) ---
+  function mulberry32(seed) {
+    let t = seed >>> 0;
+    return function() {
+      t += 0x6D2B79F5;
+      let x = Math.imul(t ^ (t >>> 15), 1 | t);
+      x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
+      return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Fold an optional per-patient seed (number or string) into the policy seed.
+  // With no patient seed the policy seed is used as-is (useful for simulations).
+  function combineSeeds(policySeed, patientSeed){
+    let seed = (Number.isFinite(policySeed) ? policySeed : 0) >>> 0;
+    if (patientSeed === undefined || patientSeed === null || patientSeed === "") return seed;
+    // FNV-1a over the patient seed text
+    const str = String(patientSeed);
+    let h = 0x811c9dc5;
+    for (let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+    return (seed ^ (h >>> 0)) >>> 0;
+  }
+
+  // Uniform draw from the session stream. The generator is rebuilt from (rng_seed, rng_draws)
+  // after a JSON round-trip, so stored and replayed sessions continue the exact same sequence.
+  function sessionRandom(s){
+    if (!s || !Number.isFinite(s.rng_seed)) return Math.random();
+    if (typeof s.rng !== 'function'){
+      const rng = mulberry32(s.rng_seed);
+      for (let i=0;i<(s.rng_draws||0);i++) rng();
+      Object.defineProperty(s, 'rng', { value: rng, writable: true, configurable: true, enumerable: false });
+    }
+    s.rng_draws = (s.rng_draws || 0) + 1;
+    return s.rng();
+  }
+
+  // Cholesky factor L (lower triangular, A = L L^T) of a symmetric positive definite matrix
+  function cholesky(A){
+    const n=A.length;
+    const L=Array.from({length:n}, ()=>new Array(n).fill(0));
+    for(let i=0;i<n;i++){
+      for(let j=0;j<=i;j++){
+        let sum=A[i][j];
+        for(let k=0;k<j;k++) sum-=L[i][k]*L[j][k];
+        if(i===j){
+          if(!(sum>0)) throw new Error("Matrix is not positive definite");
+          L[i][i]=Math.sqrt(sum);
+        } else {
+          L[i][j]=sum/L[j][j];
+        }
+      }
+    }
+    return L;
+  }
+
   function logistic(x){
     if (x>35) return 1.0;
     if (x<-35) return 0.0;
@@ -149,10 +204,161 @@ const JointCATEngine = (() => {
     return {grad, hess}; // hess is second derivative
   }
 
-  function createSession(bank, norms, constraints){
-    if (!bank) {
-      throw new Error("Item bank is missing (bank is undefined). Ensure itembank_runtime.json is loaded and passed into createJointCATEngine().");
+  // Fallbacks for policy fields that are absent from both bank.cat_config and frozen_cat_policy.json.
+  // The frozen policy file is the source of truth; these only keep a bare bank runnable.
+  const DEFAULT_CAT_CONFIG = {
+    min_items: 0,
+    max_items: 18,
+    global_SE_threshold: 0.35,
+    domain_penalty_lambda: 0.5,
+    min_items_per_domain: 1,        // default per-domain minimum for domains not in min_items_by_domain
+    min_items_by_domain: {},
+    max_items_by_domain: {},
+    instrument_groups: {},          // { PROMIS: [domains...], SRS: [domains...] }
+    group_SE_thresholds: {},        // { PROMIS: 0.35 } => stop reason "precision_reached_promis"
+    coverage_boosts: { default: [3.0, 1.5] }, // score boost by current domain count, per instrument group
+    domain_stop_rules: {},          // { Physical_Function: { se_target: 0.30 }, SRS_Pain: { max_items: 2 } }
+    exposure_control: { method: "none" },
+    selection_algorithm: "A-optimal + soft domain penalty"
+  };
+
+  function resolveConfig(bank){
+    return Object.assign({}, DEFAULT_CAT_CONFIG, bank.cat_config || {});
+  }
+
+  function instrumentOf(cfg, domain){
+    for (const [group, doms] of Object.entries(cfg.instrument_groups || {})){
+      if (Array.isArray(doms) && doms.includes(domain)) return group;
+    }
+    return null;
+  }
+
+  function minItemsFor(cfg, domain){
+    const v = (cfg.min_items_by_domain || {})[domain];
+    return Number.isFinite(v) ? v : (Number.isFinite(cfg.min_items_per_domain) ? cfg.min_items_per_domain : 0);
+  }
+
+  // Per-domain cap: the tighter of max_items_by_domain and domain_stop_rules[d].max_items
+  function maxItemsFor(cfg, domain){
+    const v = (cfg.max_items_by_domain || {})[domain];
+    const rule = (cfg.domain_stop_rules || {})[domain] || {};
+    return Math.min(Number.isFinite(v) ? v : Infinity, Number.isFinite(rule.max_items) ? rule.max_items : Infinity);
+  }
+
+  // Mark domains that have met their own stopping rule; finished domains get no more items.
+  // A domain finishes on "precision" once its reported SE (reportedSEs) reaches
+  // domain_stop_rules[d].se_target (and its minimum item count is met), or on "max_items" once it
+  // reaches its per-domain cap. The check is made when the domain finishes; later answers in
+  // correlated domains can still move its final estimate, and so its reported SE, slightly.
+  function updateDomainStatus(bank, s){
+    const cfg = resolveConfig(bank);
+    const n = s.administered.length;
+    if (!s.domain_status) s.domain_status = {};
+    const rules = cfg.domain_stop_rules || {};
+    const seMap = Object.values(rules).some(r => r && Number.isFinite(r.se_target)) ? reportedSEs(bank, s) : {};
+    for (const d of bank.domains){
+      const st = s.domain_status[d] || (s.domain_status[d] = { finished: false, reason: null, at_item: null });
+      if (st.finished) continue;
+      const count = s.domain_counts[d] || 0;
+      const rule = (cfg.domain_stop_rules || {})[d] || {};
+      const se = seMap[d];
+      if (Number.isFinite(rule.se_target) && typeof se === "number" && se <= rule.se_target && count >= minItemsFor(cfg, d)) {
+        Object.assign(st, { finished: true, reason: "precision", at_item: n });
+      } else if (count >= maxItemsFor(cfg, d)) {
+        Object.assign(st, { finished: true, reason: "max_items", at_item: n });
+      }
+    }
+    return s.domain_status;
+  }
+
+  function domainFinished(s, domain){
+    return !!(s.domain_status && s.domain_status[domain] && s.domain_status[domain].finished);
+  }
+
+  // Reject policies that cannot be satisfied by this bank. Returns a list of problems (empty = valid).
+  function validatePolicy(bank, cfgIn){
+    const cfg = cfgIn || resolveConfig(bank);
+    const errors = [];
+    const domains = bank.domains || [];
+    const known = new Set(domains);
+    const poolSize = {};
+    for (const it of Object.values(bank.items || {})) poolSize[it.domain] = (poolSize[it.domain] || 0) + 1;
+
+    const minItems = cfg.min_items, maxItems = cfg.max_items;
+    if (!Number.isFinite(maxItems) || maxItems < 1) errors.push(`max_items must be a positive number (got ${maxItems})`);
+    if (!Number.isFinite(minItems) || minItems < 0) errors.push(`min_items must be a non-negative number (got ${minItems})`);
+    else if (Number.isFinite(maxItems) && minItems > maxItems) errors.push(`min_items (${minItems}) exceeds max_items (${maxItems})`);
+
+    for (const key of ["min_items_by_domain", "max_items_by_domain"]){
+      for (const [d, v] of Object.entries(cfg[key] || {})){
+        if (!known.has(d)) errors.push(`${key} refers to unknown domain "${d}"`);
+        if (!Number.isFinite(v) || v < 0) errors.push(`${key}.${d} must be a non-negative number`);
+      }
+    }
+    let minSum = 0;
+    for (const d of domains){
+      const lo = minItemsFor(cfg, d), hi = maxItemsFor(cfg, d);
+      minSum += lo;
+      if (lo > hi) errors.push(`Minimum items for ${d} (${lo}) exceeds its maximum (${hi})`);
+      if (lo > (poolSize[d] || 0)) errors.push(`Minimum items for ${d} (${lo}) exceeds the ${poolSize[d] || 0} items in the bank`);
+    }
+    if (Number.isFinite(maxItems) && minSum > maxItems) {
+      errors.push(`Per-domain minimums add up to ${minSum}, more than max_items (${maxItems})`);
+    }
+    if (cfg.domains_min != null && (!Number.isFinite(cfg.domains_min) || cfg.domains_min > domains.length || cfg.domains_min > maxItems)) {
+      errors.push(`domains_min (${cfg.domains_min}) cannot be met with ${domains.length} domains and max_items ${maxItems}`);
+    }
+
+    const grouped = new Set();
+    for (const [g, doms] of Object.entries(cfg.instrument_groups || {})){
+      if (!Array.isArray(doms)) { errors.push(`instrument_groups.${g} must be an array of domains`); continue; }
+      for (const d of doms){
+        if (!known.has(d)) errors.push(`instrument_groups.${g} refers to unknown domain "${d}"`);
+        if (grouped.has(d)) errors.push(`Domain "${d}" appears in more than one instrument group`);
+        grouped.add(d);
+      }
+    }
+    for (const [g, thr] of Object.entries(cfg.group_SE_thresholds || {})){
+      if (!(cfg.instrument_groups || {})[g]) errors.push(`group_SE_thresholds refers to unknown instrument group "${g}"`);
+      if (!Number.isFinite(thr) || thr <= 0) errors.push(`group_SE_thresholds.${g} must be a positive number`);
+    }
+    if (!Number.isFinite(cfg.global_SE_threshold) || cfg.global_SE_threshold <= 0) {
+      errors.push("global_SE_threshold must be a positive number");
+    }
+    if (!Number.isFinite(cfg.domain_penalty_lambda) || cfg.domain_penalty_lambda < 0) {
+      errors.push("domain_penalty_lambda must be a non-negative number");
+    }
+    for (const [d, rule] of Object.entries(cfg.domain_stop_rules || {})){
+      if (!known.has(d)) errors.push(`domain_stop_rules refers to unknown domain "${d}"`);
+      if (!rule || typeof rule !== "object") { errors.push(`domain_stop_rules.${d} must be an object`); continue; }
+      if (rule.se_target != null && (!Number.isFinite(rule.se_target) || rule.se_target <= 0)) {
+        errors.push(`domain_stop_rules.${d}.se_target must be a positive number`);
+      }
+      if (rule.max_items != null && (!Number.isFinite(rule.max_items) || rule.max_items < 1)) {
+        errors.push(`domain_stop_rules.${d}.max_items must be at least 1`);
+      }
     }
+    if (!parseSelectionAlgorithm(cfg.selection_algorithm).criterion) {
+      errors.push(`selection_algorithm "${cfg.selection_algorithm}" does not name a known strategy (${Object.keys(SELECTION_STRATEGIES).join(", ")})`);
+    }
+    const ec = cfg.exposure_control || {};
+    if (!["none", "randomesque", "sympson_hetter", "progressive_restricted"].includes(ec.method || "none")) {
+      errors.push(`exposure_control.method "${ec.method}" is not supported`);
+    }
+    if (ec.method === "randomesque" && !(Number.isFinite(ec.randomesque_k) && ec.randomesque_k >= 1)) {
+      errors.push("exposure_control.randomesque_k must be at least 1");
+    }
+    if (ec.r_max != null && !(Number.isFinite(ec.r_max) && ec.r_max > 0 && ec.r_max <= 1)) {
+      errors.push("exposure_control.r_max must be in (0, 1]");
+    }
+    for (const [g, boosts] of Object.entries(cfg.coverage_boosts || {})){
+      if (g !== "default" && !(cfg.instrument_groups || {})[g]) errors.push(`coverage_boosts refers to unknown instrument group "${g}"`);
+      if (!Array.isArray(boosts) || boosts.some(v => !Number.isFinite(v))) errors.push(`coverage_boosts.${g} must be an array of numbers`);
+    }
+    return errors;
+  }
+
+  function normalizeDomains(bank){
     // Normalize domains to an array of domain names.
     if (!Array.isArray(bank.domains)) {
       if (bank.domains && typeof bank.domains === 'object') {
@@ -166,6 +372,32 @@ const JointCATEngine = (() => {
         bank.domains = Array.from(ds);
       }
     }
+    return bank.domains;
+  }
+
+  // Random id for joining exports across sessions; deliberately not drawn from the seeded RNG
+  // so it never shifts the item sequence.
+  function newSessionId(){
+    const c = (typeof crypto !== "undefined") ? crypto : null;
+    if (c && typeof c.randomUUID === "function") return c.randomUUID();
+    return "s-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  // opts.patientSeed (optional) is mixed with the policy random_seed to seed this session's RNG.
+  // opts.provenance (optional) records which build and asset files (sha256) produced this session;
+  // it is copied into the results so a stored score can be traced to its calibration.
+  // opts.language (optional) is the language code the patient answered in (e.g. "en", "es").
+  // opts.visit (optional) is { patient_id, visit }: the clinic-assigned patient ID and visit label
+  // the results are filed under for longitudinal comparison (cat_patients.js).
+  function createSession(bank, norms, constraints, opts){
+    if (!bank) {
+      throw new Error("Item bank is missing (bank is undefined). Ensure itembank_runtime.json is loaded and passed into createJointCATEngine().");
+    }
+    normalizeDomains(bank);
+    const policyErrors = validatePolicy(bank);
+    if (policyErrors.length) {
+      throw new Error("Invalid CAT policy: " + policyErrors.join("; "));
+    }
     const D=bank.domains.length;
     const thetaVec=new Array(D).fill(0);  // Initialize to 0, NOT null
     const Sigma=deepCopy(bank.prior_covariance); // posterior covariance start = prior
@@ -179,23 +411,27 @@ const JointCATEngine = (() => {
     }
     
     // Pair-exclusion constraints (local dependence mitigation)
-    const adj = {};
-    if (constraints && constraints.constraints && Array.isArray(constraints.constraints)){
-      for (const pair of constraints.constraints){
-        if (!pair || pair.length !== 2) continue;
-        const [a,b] = pair;
-        if (!adj[a]) adj[a] = {};
-        if (!adj[b]) adj[b] = {};
-        adj[a][b] = true;
-        adj[b][a] = true;
-      }
+    const cidx = buildConstraintIndex(bank, constraints);
+    if (cidx.unknown.length && !(constraints && warnedConstraints.has(constraints))) {
+      if (constraints) warnedConstraints.add(constraints);
+      console.warn(`Ignoring ${cidx.unknown.length} pair-exclusion constraint(s) that reference item ids not in the bank:`,
+        cidx.unknown.map(u => u.pair.join("|")).join(", "));
     }
+    const cfg = bank.cat_config || {};
+    const patientSeed = (opts && opts.patientSeed !== undefined && opts.patientSeed !== "") ? opts.patientSeed : null;
+    const policySeed = Number.isFinite(cfg.random_seed) ? cfg.random_seed : null;
+    const rngSeed = (policySeed === null && patientSeed === null) ? null : combineSeeds(policySeed, patientSeed);
     const session = {
+      session_id: newSessionId(),
       version: "web_v1",
+      bank_version: bank.version || null,
       created_at: new Date().toISOString(),
-      constraints_n: (constraints && constraints.constraints) ? constraints.constraints.length : 0,
-      constraints_adj: adj,
+      updated_at: null,
+      constraints_n: cidx.pairs.length,
+      constraints_adj: cidx.adj,
+      constraints_unknown: cidx.unknown,
       constraints_raw: constraints || null,
+      constraint_log: [],
       theta: Object.fromEntries(bank.domains.map((d,i)=>[d, thetaVec[i]])),
       theta_vec: thetaVec,
       Sigma: Sigma,
@@ -205,8 +441,18 @@ const JointCATEngine = (() => {
       domain_counts: {},
       is_finished: false,
       stop_reason: null,
-      current_item_id: null
+      current_item_id: null,
+      domain_status: {},
+      exposure_blocked: [],
+      seed: { policy: policySeed, patient: patientSeed },
+      rng_seed: rngSeed,
+      rng_draws: 0,
+      current_selection: null,
+      provenance: (opts && opts.provenance) ? deepCopy(opts.provenance) : null,
+      language: (opts && opts.language) || null,
+      visit: (opts && opts.visit) ? deepCopy(opts.visit) : null
     };
+    updateDomainStatus(bank, session);
     // select first item
     const next = selectNextItem(bank, session);
     session.current_item_id = next;
@@ -215,7 +461,65 @@ const JointCATEngine = (() => {
   }
 
 
-  function nextItem(bank, s) {
+  // Returns null when a stored snapshot can be resumed against this bank, otherwise a
+  // patient-readable reason why it cannot.
+  // Why a stored snapshot cannot be resumed: { code, message, vars } or null when it can.
+  // `code` is stable for UI translation (app.js: resume.problem.<code>, filled from `vars`);
+  // `message` is the English text.
+  function resumeCheck(bank, snap, opts){
+    const maxAgeHours = (opts && Number.isFinite(opts.maxAgeHours)) ? opts.maxAgeHours : 12;
+    const problem = (code, message, vars) => ({ code, message, vars: vars || {} });
+    if (!snap || typeof snap !== 'object' || !Array.isArray(snap.administered)) {
+      return problem("no_snapshot", "No saved survey was found.");
+    }
+    if (snap.is_finished) return problem("finished", "The saved survey was already completed.");
+    if (!bank || !bank.items) return problem("no_bank", "The item bank is not loaded.");
+    if (!snap.bank_version || snap.bank_version !== bank.version) {
+      const vars = { was: snap.bank_version || "unknown", now: bank.version || "unknown" };
+      return problem("bank_version", `The saved survey was started with item bank version ${vars.was}, but this build uses ${vars.now}.`, vars);
+    }
+    const was = snap.provenance && snap.provenance.sha256;
+    const now = opts && opts.provenance && opts.provenance.sha256;
+    if (was && now && Object.keys(now).some(k => was[k] && now[k] && was[k] !== now[k])) {
+      return problem("files_changed", "The saved survey was started with different questionnaire files than this build uses.");
+    }
+    const D = normalizeDomains(bank).length;
+    if (!Array.isArray(snap.theta_vec) || snap.theta_vec.length !== D ||
+        !Array.isArray(snap.Sigma) || snap.Sigma.length !== D ||
+        snap.Sigma.some(row => !Array.isArray(row) || row.length !== D || row.some(v => !Number.isFinite(v)))) {
+      return problem("domains_mismatch", "The saved survey does not match the domains of this item bank.");
+    }
+    const ids = snap.administered.map(a => a && a.item_id).concat(snap.remaining || []);
+    if (snap.current_item_id != null) ids.push(snap.current_item_id);
+    if (!Array.isArray(snap.remaining) || ids.some(id => !bank.items[id])) {
+      return problem("unknown_items", "The saved survey refers to questions that are not in this item bank.");
+    }
+    const stamp = Date.parse(snap.updated_at || snap.created_at || "");
+    if (!Number.isFinite(stamp) || (Date.now() - stamp) > maxAgeHours * 3600 * 1000) {
+      return problem("too_old", `The saved survey is more than ${maxAgeHours} hours old.`, { hours: maxAgeHours });
+    }
+    return null;
+  }
+
+  // English reason a snapshot cannot be resumed, or null (see resumeCheck for the coded form)
+  function resumeProblem(bank, snap, opts){
+    const p = resumeCheck(bank, snap, opts);
+    return p ? p.message : null;
+  }
+
+  function restoreSession(bank, snap, opts){
+    const problem = resumeProblem(bank, snap, opts);
+    if (problem) throw new Error("Cannot resume CAT session: " + problem);
+    const s = deepCopy(snap);
+    if (s.current_item_id === null || s.current_item_id === undefined) {
+      s.current_item_id = selectNextItem(bank, s);
+    }
+    updateSE(bank, s);
+    return s;
+  }
+
+  // norms (optional) are used for percentiles if the bank runs out here and the session finishes
+  function nextItem(bank, s, norms) {
     // Ensure a current item is selected; do NOT record an answer here.
     if (!s || s.is_finished) return null;
 
@@ -225,7 +529,7 @@ const JointCATEngine = (() => {
         // Bank exhausted
         s.is_finished = true;
         s.stop_reason = s.stop_reason || "bank_exhausted";
-        s.results = finish(bank, null, s, s.stop_reason);
+        finish(bank, norms || null, s, s.stop_reason);
         return null;
       }
       s.current_item_id = nid;
@@ -244,9 +548,40 @@ const JointCATEngine = (() => {
     return diag;
   }
 
-  function globalSE(s){
-    // RMS of domain SEs
-    const ses = Object.values(s.se).filter(v=>typeof v==="number");
+  function normsSource(norms){
+    const m = norms && norms.metadata;
+    if (!m) return null;
+    return {
+      label: m.label || m.source || null,
+      n_patients: Number.isFinite(m.n_patients) ? m.n_patients : null,
+      date_generated: m.date_generated || null,
+      warning: m.warning || null
+    };
+  }
+
+  // Estimate path for convergence plots: prior start plus theta/SE of every domain after each answer
+  // (running SEs, as used for selection and stopping) and the selection score of each chosen item.
+  function trajectory(bank, s){
+    return {
+      domains: bank.domains.slice(),
+      start: {
+        theta: new Array(bank.domains.length).fill(0),
+        se: bank.domains.map((d, i) => Math.sqrt(Math.max(1e-12, bank.prior_covariance[i][i])))
+      },
+      steps: (s.administered || []).map((a, i) => ({
+        step: i + 1,
+        item_id: a.item_id,
+        domain: a.domain,
+        theta: a.theta_after || null,
+        se: a.se_after || null,
+        selection: a.selection || null
+      }))
+    };
+  }
+
+  function globalSE(s, seMap){
+    // RMS of domain SEs (s.se by default)
+    const ses = Object.values(seMap || s.se).filter(v=>typeof v==="number");
     if (!ses.length) return null;
     let m=0; for(const v of ses) m += v*v;
     return Math.sqrt(m/ses.length);
@@ -260,85 +595,272 @@ const JointCATEngine = (() => {
     return need;
   }
 
-  function selectNextItem(bank, s){
-    const remaining = s.remaining;
+  // Pair-exclusion constraints: one index used by both selection and stopping.
+  // Accepts {constraints:[[a,b],...]} (pair_exclusion_constraints_RUNTIME.json), {pairs:[[a,b],...]}
+  // or {a:[b,c],...}; falls back to bank.pair_exclusion_constraints. Pairs naming ids that are not
+  // in the bank are reported in `unknown` and ignored.
+  const warnedConstraints = new WeakSet(); // warn about unknown ids once per constraints file
+  function buildConstraintIndex(bank, constraints){
+    const src = constraints || bank.pair_exclusion_constraints || bank.pair_exclusion || null;
+    const raw = [];
+    if (src && Array.isArray(src.constraints)) raw.push(...src.constraints);
+    else if (src && Array.isArray(src.pairs)) raw.push(...src.pairs);
+    else if (src && typeof src === "object") {
+      for (const [a, arr] of Object.entries(src)){
+        if (a === "meta" || a === "metadata" || !Array.isArray(arr)) continue;
+        for (const b of arr) raw.push([a, b]);
+      }
+    }
+
+    const adj = {}, pairs = [], unknown = [];
+    for (const pair of raw){
+      if (!Array.isArray(pair) || pair.length !== 2) continue;
+      const missing = pair.filter(id => !(bank.items && bank.items[id]));
+      if (missing.length) { unknown.push({ pair: pair.slice(), missing }); continue; }
+      const [a, b] = pair;
+      if (!adj[a]) adj[a] = {};
+      if (!adj[b]) adj[b] = {};
+      adj[a][b] = true;
+      adj[b][a] = true;
+      pairs.push([a, b]);
+    }
+    return { adj, pairs, unknown };
+  }
+
+  // Items still eligible for administration: not yet asked, domain not finished, not blocked by
+  // exposure control, and not excluded by a pair constraint with an administered item.
+  // Returns the allowed ids and, per excluded id, the administered item it conflicts with.
+  function eligibleItems(bank, s){
     const adj = s.constraints_adj || {};
-    const administeredIds = new Set(s.administered.map(a=>a.item_id));
-    function allowed(id){
+    const administeredIds = s.administered.map(a => a.item_id);
+    // Domains that met their own stopping rule (precision or per-domain cap) receive no more items
+    // Sympson-Hetter rejections are blocked for the rest of the session
+    const blocked = new Set(s.exposure_blocked || []);
+    const allowed = [], excluded = [];
+    for (const id of (s.remaining || [])){
+      if (domainFinished(s, bank.items[id].domain) || blocked.has(id)) continue;
       const partners = adj[id];
-      if (!partners) return true;
-      for (const prev of administeredIds){
-        if (partners[prev]) return false;
-      }
-      return true;
+      const conflict = partners ? administeredIds.find(prev => partners[prev]) : undefined;
+      if (conflict !== undefined) excluded.push({ item_id: id, excluded_by: [conflict, id] });
+      else allowed.push(id);
     }
+    return { allowed, excluded };
+  }
 
+  function selectNextItem(bank, s){
+    const remaining = s.remaining;
     if (!remaining.length) return null;
 
-    const D=bank.domains.length;
     const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
 
+    const cfg = resolveConfig(bank);
     const need = coverageNeeded(bank, s);
-    let candidateIds = remaining;
-    candidateIds = candidateIds.filter(allowed);
-    if (!candidateIds.length) return null;
-    if (need.length && s.administered.length < bank.cat_config.min_items + need.length) {
-      candidateIds = remaining.filter(id => need.includes(bank.items[id].domain));
-      if (!candidateIds.length) candidateIds = remaining;
-    }
-    candidateIds = candidateIds.filter(allowed);
-    if (!candidateIds.length) return null;
+    const { allowed, excluded } = eligibleItems(bank, s);
+    // Audit trail: which candidates each constraint removed at this step
+    const log = s.constraint_log || (s.constraint_log = []);
+    const entry = { step: s.administered.length, excluded };
+    if (log.length && log[log.length - 1].step === entry.step) log[log.length - 1] = entry;
+    else log.push(entry);
+
+    if (!allowed.length) return null;
+    const candidateIds = coveragePool(bank, s, cfg, allowed, need);
 
     if ((s.administered||[]).length === 0 && candidateIds.length){
-      const j = Math.floor((s.rng ? s.rng() : Math.random()) * candidateIds.length);
+      const j = Math.floor(sessionRandom(s) * candidateIds.length);
+      s.current_selection = { item_id: candidateIds[j], criterion: "random_start", gain: null, penalty: null, score: null };
       return candidateIds[j];
     }
 
-    let bestId = candidateIds[0];
-    let bestScore = -Infinity;
+    const algo = parseSelectionAlgorithm(cfg.selection_algorithm);
+    const scored = scoreCandidates(bank, s, cfg, algo, candidateIds, domIndex);
+    const chosen = chooseWithExposureControl(bank, s, cfg, scored);
+    // Kept with the answer so the trajectory shows why each item was picked
+    const pick = scored.find(x => x.id === chosen);
+    s.current_selection = pick
+      ? { item_id: chosen, criterion: algo.criterion, gain: pick.gain, penalty: pick.penalty, score: pick.score }
+      : null;
+    return chosen;
+  }
+
+  // Coverage first: prefer domains with no items yet (still within the constraint-filtered pool)
+  function coveragePool(bank, s, cfg, allowed, need){
+    if (need.length && s.administered.length < cfg.min_items + need.length) {
+      const uncovered = allowed.filter(id => need.includes(bank.items[id].domain));
+      if (uncovered.length) return uncovered;
+    }
+    return allowed;
+  }
+
+  // Selection score per candidate: criterion gain minus the soft domain penalty when enabled
+  function scoreCandidates(bank, s, cfg, algo, candidateIds, domIndex){
+    const criterion = SELECTION_STRATEGIES[algo.criterion];
 
-    // IMPROVED: Stronger domain balancing with quadratic penalty
-    const lambda = 0.5;
+    // Domain balancing: quadratic penalty (policy domain_penalty_lambda) minus coverage boosts
+    const lambda = cfg.domain_penalty_lambda;
+    const boostsByGroup = cfg.coverage_boosts || {};
 
+    const scored = [];
     for(const id of candidateIds){
       const it=bank.items[id];
       const d = domIndex[it.domain];
-      const th = s.theta_vec[d];
-      const info = itemInfo(th, it);
-      
+      const gain = criterion(bank, s, it, d);
+
+      let penalty = 0;
+      if (algo.domainPenalty) {
+        const domain_count = s.domain_counts[it.domain] || 0;
+        penalty = lambda * (domain_count * domain_count);
+
+        // Boost under-represented domains: boosts[k] applies while the domain has k items
+        const group = instrumentOf(cfg, it.domain);
+        const boosts = (group && boostsByGroup[group]) || boostsByGroup.default || [];
+        if (domain_count < boosts.length) penalty -= boosts[domain_count];
+      }
+
+      const score = gain - penalty;
+      scored.push({ id, score, gain, penalty });
+    }
+    return scored;
+  }
+
+  // Item-selection criteria: (bank, session, item, domainIndex) => gain (larger is better).
+  // Chosen by policy.selection_algorithm, e.g. "A-optimal + soft domain penalty" or "KL".
+  const SELECTION_STRATEGIES = {
+    // Reduction in trace(Sigma) from a rank-1 update with this item's information
+    "A-optimal": (bank, s, it, d) => {
+      const info = itemInfo(s.theta_vec[d], it);
       let colSq=0;
-      for(let i=0;i<D;i++){
+      for(let i=0;i<s.Sigma.length;i++){
         const v = s.Sigma[i][d];
         colSq += v*v;
       }
       const denom = 1 + info * s.Sigma[d][d];
-      const gain = (info * colSq) / denom;
+      return (info * colSq) / denom;
+    },
+    // Increase in log det of the posterior precision (determinant lemma: log(1 + info * Sigma_dd))
+    "D-optimal": (bank, s, it, d) => {
+      const info = itemInfo(s.theta_vec[d], it);
+      return Math.log(1 + info * s.Sigma[d][d]);
+    },
+    // Posterior-weighted Kullback-Leibler information: KL between the response distribution at the
+    // current estimate and at theta, averaged over N(theta_d, Sigma_dd) by 21-point quadrature
+    "KL": (bank, s, it, d) => {
+      const b = (it.thresholds || []).filter(v => Number.isFinite(v));
+      const th = s.theta_vec[d];
+      const sd = Math.sqrt(Math.max(1e-12, s.Sigma[d][d]));
+      const p0 = grmCatProbs(th, it.discrimination, b);
+      let kl = 0, wsum = 0;
+      for(let j=0; j<21; j++){
+        const z = -3 + 0.3 * j;
+        const w = Math.exp(-0.5 * z * z);
+        const p1 = grmCatProbs(th + z * sd, it.discrimination, b);
+        let k = 0;
+        for(let c=0; c<p0.length; c++){
+          const a0 = Math.max(1e-12, p0[c]), a1 = Math.max(1e-12, p1[c]);
+          k += a0 * Math.log(a0 / a1);
+        }
+        kl += w * k; wsum += w;
+      }
+      return kl / wsum;
+    },
+    // Maximum Fisher information at the item's own domain estimate
+    "MFI": (bank, s, it, d) => itemInfo(s.theta_vec[d], it)
+  };
 
-      // IMPROVED: Domain balancing with quadratic penalty and zero-count boost
-      const domain_count = s.domain_counts[it.domain] || 0;
-      let penalty = lambda * (domain_count * domain_count);
+  const SELECTION_ALIASES = {
+    "a-optimal": "A-optimal",
+    "d-optimal": "D-optimal",
+    "kl": "KL",
+    "kullback-leibler": "KL",
+    "posterior-weighted kl": "KL",
+    "mfi": "MFI",
+    "maximum fisher information": "MFI",
+    "max-info": "MFI"
+  };
 
-      // Strong boost for under-represented domains
-      if (domain_count === 0) {
-        penalty -= 3.0;
-      } else if (domain_count === 1) {
-        penalty -= 1.5;
-      } else if (domain_count === 2 && it.domain.startsWith('SRS_')) {
-        penalty -= 0.5;
-      }
+  // Research builds can add criteria without forking this file
+  function registerSelectionStrategy(name, fn){
+    if (typeof fn !== "function") throw new Error("Selection strategy must be a function");
+    SELECTION_STRATEGIES[name] = fn;
+    SELECTION_ALIASES[name.toLowerCase()] = name;
+  }
 
-      const score = gain - penalty;
+  // "A-optimal + soft domain penalty" => { criterion: "A-optimal", domainPenalty: true }
+  function parseSelectionAlgorithm(spec){
+    const parts = String(spec || "A-optimal + soft domain penalty").split("+").map(p => p.trim()).filter(Boolean);
+    const head = (parts[0] || "").toLowerCase();
+    const criterion = SELECTION_ALIASES[head] || (SELECTION_STRATEGIES[parts[0]] ? parts[0] : null);
+    const domainPenalty = parts.slice(1).some(p => /domain penalty/i.test(p));
+    return { criterion, domainPenalty };
+  }
 
+  // Greedy pick with a random tie-break (no exposure control)
+  function chooseBest(s, scored){
+    let bestId = scored.length ? scored[0].id : null;
+    let bestScore = -Infinity;
+    for (const { id, score } of scored){
       if (score > bestScore + 1e-12){
         bestScore = score;
         bestId = id;
-      } else if (Math.abs(score - bestScore) <= 1e-12 && bestId !== null && (s.rng ? s.rng() : Math.random()) < 0.5){
+      } else if (Math.abs(score - bestScore) <= 1e-12 && bestId !== null && sessionRandom(s) < 0.5){
         bestId = id;
       }
     }
     return bestId;
   }
 
+  // Item exposure control (policy.exposure_control.method):
+  // - "none": greedy
+  // - "randomesque": uniform pick among the top k (exposure_control.randomesque_k)
+  // - "sympson_hetter": walk the ranking, administering each item with probability item.exposure_k
+  //   (calibrated parameters stored in the bank; default 1). Rejected items are blocked for the session.
+  // - "progressive_restricted": drop items whose bank exposure_rate exceeds r_max, then blend a random
+  //   component with the criterion, moving from random to informative as the test progresses.
+  function chooseWithExposureControl(bank, s, cfg, scored){
+    const ec = cfg.exposure_control || {};
+    const method = ec.method || "none";
+    if (!scored.length) return null;
+    if (method === "none") return chooseBest(s, scored);
+
+    const ranked = scored.slice().sort((a, b) => b.score - a.score);
+
+    if (method === "randomesque"){
+      const k = Math.max(1, Math.min(ranked.length, Math.floor(ec.randomesque_k || 1)));
+      return ranked[Math.floor(sessionRandom(s) * k)].id;
+    }
+
+    if (method === "sympson_hetter"){
+      if (!s.exposure_blocked) s.exposure_blocked = [];
+      for (const { id } of ranked){
+        const k = bank.items[id].exposure_k;
+        const p = Number.isFinite(k) ? Math.max(0, Math.min(1, k)) : 1;
+        if (p >= 1 || sessionRandom(s) < p) return id;
+        s.exposure_blocked.push(id);
+      }
+      // Every candidate was rejected: fall back to the last one considered rather than stalling
+      const last = ranked[ranked.length - 1].id;
+      s.exposure_blocked = s.exposure_blocked.filter(id => id !== last);
+      return last;
+    }
+
+    if (method === "progressive_restricted"){
+      const rMax = Number.isFinite(ec.r_max) ? ec.r_max : 1;
+      const open = ranked.filter(({ id }) => !(Number.isFinite(bank.items[id].exposure_rate) && bank.items[id].exposure_rate > rMax));
+      const pool = open.length ? open : ranked;
+      const maxItems = cfg.max_items || 1;
+      const w = Math.min(1, s.administered.length / maxItems);
+      const hi = pool[0].score, lo = pool[pool.length - 1].score;
+      const span = (hi - lo) > 1e-12 ? (hi - lo) : 1;
+      let best = pool[0].id, bestVal = -Infinity;
+      for (const { id, score } of pool){
+        const val = (1 - w) * sessionRandom(s) + w * ((score - lo) / span);
+        if (val > bestVal){ bestVal = val; best = id; }
+      }
+      return best;
+    }
+
+    throw new Error(`Unknown exposure_control.method "${method}"`);
+  }
+
   function getCurrentItem(bank, s){
     const id=s.current_item_id;
     return (id === null || id === undefined) ? null : bank.items[id];
@@ -367,23 +889,141 @@ const JointCATEngine = (() => {
     s.Sigma = Sigma;
   }
 
-  function mapUpdateTheta(bank, s){
+  // Map a stored response (display index after normalizeResponseIdx) to the GRM category index.
+  function irtCategory(item, response){
+    let resp = (typeof response === 'number') ? response : 0;
+
+    // CRITICAL: Clamp response to valid range [0, K-1] BEFORE any processing
+    // This prevents out-of-range indices from corrupting likelihood updates
+    const K = itemCategoryCount(item);
+    resp = Math.max(0, Math.min(K - 1, Math.floor(resp)));
+
+    // RESPONSE DIRECTION CORRECTION:
+    // IRT calibration encodes: 0 = lowest observed numeric value in data.
+    // Response options in bank are stored in DISPLAY order (first shown = index 0).
+    //
+    // For 'worse' symptom domains (Anxiety, Depression, Fatigue):
+    //   Calibrated val 1 = Never (best/lowest symptom) → IRT index 0 = best
+    //   Display opts[0] = Never (best) → choiceIndex 0 = best → IRT 0 = best ✅ no flip
+    //
+    // For 'worse' function domains (Physical_Function, Participation):
+    //   PF calibrated val 1 = Unable to do (worst) → IRT index 0 = worst
+    //   PF display opts[0] = Without difficulty (best) → choiceIndex 0 = best → IRT 0 = worst ❌ flip needed
+    //   Participation calibrated val 1 = Never (best) → IRT index 0 = best
+    //   Participation display opts[0] = Always (worst) → choiceIndex 0 = worst → IRT 0 = best ❌ flip needed
+    //
+    // For 'better' SRS domains:
+    //   Calibrated val 1 = worst (Severely, Bedridden, etc.) → IRT index 0 = worst
+    //   Display opts[0] = best (None, Full activities, etc.) → choiceIndex 0 = best → IRT 0 = worst ❌ flip needed
+    //
+    // Rule: flip when display[0] != calibration[0]:
+    //   - Symptom domains (Anxiety/Depression/Fatigue): No flip (both 0=best)
+    //   - Physical_Function: Flip (display 0=best, calib 0=worst)
+    //   - Participation: Flip (display 0=worst, calib 0=best — net result same as flip)
+    //   - All SRS (better): Flip (display 0=best, calib 0=worst)
+    const needsFlip = (item.higher_theta_means === 'better');
+    if (needsFlip) {
+      resp = (K - 1) - resp;
+      // Re-clamp after flip (should be redundant but ensures safety)
+      resp = Math.max(0, Math.min(K - 1, resp));
+    }
+    return resp;
+  }
+
+  // Inverse of irtCategory + normalizeResponseIdx: the option index a respondent in GRM category `cat`
+  // taps on screen. Used by simulations to feed generated responses through answer().
+  function responseForCategory(item, cat){
+    const K = itemCategoryCount(item);
+    const c = Math.max(0, Math.min(K - 1, Math.floor(cat)));
+    const mapped = (item.higher_theta_means === 'better') ? (K - 1) - c : c;
+    return normalizeResponseIdx(item, mapped);
+  }
+
+  function itemCategoryCount(item){
+    return (item.thresholds ? item.thresholds.length + 1 : item.K || item.n_categories || 5);
+  }
+
+  // Prior precision for MAP scoring.
+  // - "full" (default): inverse of the full prior_covariance, so correlated domains borrow strength
+  //   (a domain with one or two items is pulled toward what its correlated domains say).
+  // - "diagonal": legacy mode, off-diagonal terms ignored (kept for comparison runs).
+  // Falls back to diagonal if the prior is not positive definite.
+  function priorPrecision(bank){
     const D = bank.domains.length;
-    const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
+    const cfg = bank.cat_config || {};
+    // Optional: reduce MAP shrinkage by scaling prior precision (<1.0 = weaker prior)
+    const priorScale = Number.isFinite(cfg.prior_precision_scale) ? cfg.prior_precision_scale : 1.0;
+    const P0 = bank.prior_covariance;
+    const mode = (cfg.map_prior === "diagonal") ? "diagonal" : "full";
+
+    if (mode === "full" && Array.isArray(P0) && P0.length === D) {
+      try {
+        cholesky(P0); // throws unless symmetric positive definite
+        const P = matInverse(P0);
+        return { mode, P: P.map(row => row.map(v => v * priorScale)) };
+      } catch (e) {
+        console.warn("prior_covariance is not positive definite; using diagonal prior for MAP", e);
+      }
+    }
 
-    // Use DIAGONAL-ONLY prior for numerical stability
-    // (ignore cross-domain correlations which cause Hessian to become singular)
-    const priorVar = new Array(D).fill(1.0); // variance = 1 per domain
+    const P = matIdentity(D);
     for(let i=0; i<D; i++){
-      if(bank.prior_covariance && bank.prior_covariance[i] && Number.isFinite(bank.prior_covariance[i][i]) && bank.prior_covariance[i][i] > 0){
-        priorVar[i] = bank.prior_covariance[i][i];
-      }
+      let v = 1.0; // variance = 1 per domain
+      if(P0 && P0[i] && Number.isFinite(P0[i][i]) && P0[i][i] > 0) v = P0[i][i];
+      P[i][i] = priorScale / v; // precision = 1/variance
     }
-    const priorPrec = priorVar.map(v => 1.0 / v); // precision = 1/variance
+    return { mode: "diagonal", P };
+  }
 
-    // Optional: reduce MAP shrinkage by scaling prior precision (<1.0 = weaker prior)
-    const priorScale = (policy && Number.isFinite(policy.prior_precision_scale)) ? policy.prior_precision_scale : 1.0;
-    for(let d=0; d<D; d++){ priorPrec[d] *= priorScale; }
+  // Solve A x = b for symmetric positive definite A via Cholesky
+  function choleskySolve(A, b){
+    const L = cholesky(A);
+    const n = b.length;
+    const y = new Array(n).fill(0);
+    for(let i=0;i<n;i++){
+      let sum=b[i];
+      for(let k=0;k<i;k++) sum -= L[i][k]*y[k];
+      y[i] = sum / L[i][i];
+    }
+    const x = new Array(n).fill(0);
+    for(let i=n-1;i>=0;i--){
+      let sum=y[i];
+      for(let k=i+1;k<n;k++) sum -= L[k][i]*x[k];
+      x[i] = sum / L[i][i];
+    }
+    return x;
+  }
+
+  // SEs as finish() reports them at the current theta: the quadrature posterior SDs under EAP,
+  // otherwise sqrt(diag) of finalPosteriorCov(). Precision stops test these rather than the running
+  // s.se, so a session that stops for precision reports SEs that meet its target.
+  function reportedSEs(bank, s, SigmaFinal){
+    const S = SigmaFinal || finalPosteriorCov(bank, s);
+    const se = Object.fromEntries(bank.domains.map((d,i)=>[d, Math.sqrt(Math.max(1e-12, S[i][i]))]));
+    return (s.scoring_method === "EAP" && s.eap_sd) ? Object.assign(se, s.eap_sd) : se;
+  }
+
+  // Posterior covariance rebuilt at the final theta: (prior precision + sum of item information)^-1.
+  // The running Sigma (Sherman-Morrison updates using each item's information at the theta *before*
+  // that answer) depends on answer order and early estimates, so it is only used for item selection.
+  function finalPosteriorCov(bank, s){
+    const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
+    const prec = priorPrecision(bank).P.map(row => row.slice());
+    for(const a of s.administered){
+      const it = bank.items[a.item_id];
+      if(!it) continue;
+      const d = domIndex[it.domain];
+      if(d === undefined || d === null) continue;
+      prec[d][d] += itemInfo(s.theta_vec[d], it);
+    }
+    return matInverse(prec);
+  }
+
+  function mapUpdateTheta(bank, s){
+    const D = bank.domains.length;
+    const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
+    const { mode, P } = priorPrecision(bank);
+    s.map_prior = mode;
 
     // Initialize theta from session, converting nulls to 0
     let theta = new Array(D).fill(0);
@@ -394,18 +1034,15 @@ const JointCATEngine = (() => {
       }
     }
 
-    // Newton-Raphson with DIAGONAL Hessian (much more stable)
+    // Regularized Newton-Raphson on the log posterior.
+    // Between-item model: item terms only touch the Hessian diagonal; the prior brings in
+    // the off-diagonal coupling. Solve (P + diag(-h) + mu I) step = grad with Cholesky.
     const maxIter = 50;
     for(let iter=0; iter<maxIter; iter++){
-      // Per-domain gradient and Hessian (diagonal only)
-      const grad = new Array(D).fill(0);
-      const hess = new Array(D).fill(0);
-
-      // Prior contribution: -priorPrec[d] * theta[d]
-      for(let d=0; d<D; d++){
-        grad[d] = -priorPrec[d] * theta[d];
-        hess[d] = -priorPrec[d];
-      }
+      // Prior contribution: grad = -P theta, negative Hessian = P
+      const Ptheta = matVec(P, theta);
+      const grad = Ptheta.map(v => -v);
+      const negHess = P.map(row => row.slice());
 
       // Item likelihood contributions
       for(const a of s.administered){
@@ -413,61 +1050,29 @@ const JointCATEngine = (() => {
         if(!it) continue;
         const d = domIndex[it.domain];
         if(d === undefined || d === null) continue;
-        let resp = (typeof a.response === 'number') ? a.response : 0;
-
-        // CRITICAL: Clamp response to valid range [0, K-1] BEFORE any processing
-        // This prevents out-of-range indices from corrupting likelihood updates
-        const K = (it.thresholds ? it.thresholds.length + 1 : it.K || it.n_categories || 5);
-        resp = Math.max(0, Math.min(K - 1, Math.floor(resp)));
-
-        // RESPONSE DIRECTION CORRECTION:
-        // IRT calibration encodes: 0 = lowest observed numeric value in data.
-        // Response options in bank are stored in DISPLAY order (first shown = index 0).
-        //
-        // For 'worse' symptom domains (Anxiety, Depression, Fatigue):
-        //   Calibrated val 1 = Never (best/lowest symptom) → IRT index 0 = best
-        //   Display opts[0] = Never (best) → choiceIndex 0 = best → IRT 0 = best ✅ no flip
-        //
-        // For 'worse' function domains (Physical_Function, Participation):
-        //   PF calibrated val 1 = Unable to do (worst) → IRT index 0 = worst
-        //   PF display opts[0] = Without difficulty (best) → choiceIndex 0 = best → IRT 0 = worst ❌ flip needed
-        //   Participation calibrated val 1 = Never (best) → IRT index 0 = best
-        //   Participation display opts[0] = Always (worst) → choiceIndex 0 = worst → IRT 0 = best ❌ flip needed
-        //
-        // For 'better' SRS domains:
-        //   Calibrated val 1 = worst (Severely, Bedridden, etc.) → IRT index 0 = worst
-        //   Display opts[0] = best (None, Full activities, etc.) → choiceIndex 0 = best → IRT 0 = worst ❌ flip needed
-        //
-        // Rule: flip when display[0] != calibration[0]:
-        //   - Symptom domains (Anxiety/Depression/Fatigue): No flip (both 0=best)
-        //   - Physical_Function: Flip (display 0=best, calib 0=worst)
-        //   - Participation: Flip (display 0=worst, calib 0=best — net result same as flip)
-        //   - All SRS (better): Flip (display 0=best, calib 0=worst)
-        const needsFlip = (it.higher_theta_means === 'better');
-        if (needsFlip) {
-          resp = (K - 1) - resp;
-          // Re-clamp after flip (should be redundant but ensures safety)
-          resp = Math.max(0, Math.min(K - 1, resp));
-        }
+        const resp = irtCategory(it, a.response);
 
         const {grad: g, hess: h} = itemGradHess(theta[d], it, resp);
         grad[d] += g;
-        hess[d] += h;
+        negHess[d][d] -= h;
+      }
+
+      // Small damping for stability; grow it (Levenberg-style) if the system is not PD
+      let step = null;
+      for(let mu = 0.01; mu <= 1e4 && !step; mu *= 10){
+        const A = negHess.map((row, i) => row.map((v, j) => (i === j ? v + mu : v)));
+        try { step = choleskySolve(A, grad); } catch (e) { step = null; }
       }
+      if(!step) break;
 
-      // Newton step: delta = -grad / hess (diagonal, so trivial inversion)
       let maxChange = 0;
       const newTheta = theta.slice();
       for(let d=0; d<D; d++){
-        const denom = hess[d] - 0.01; // small damping for stability
-        if(Math.abs(denom) < 1e-8) continue; // skip if denominator too small
-        let step = -grad[d] / denom;
         // Clamp step size to prevent explosion
-        step = Math.max(-1.0, Math.min(1.0, step));
-        newTheta[d] = theta[d] + step;
+        const stepD = Math.max(-1.0, Math.min(1.0, step[d]));
         // Clamp theta to valid range [-4, 4] (T-score 10 to 90)
-        newTheta[d] = Math.max(-4.0, Math.min(4.0, newTheta[d]));
-        maxChange = Math.max(maxChange, Math.abs(step));
+        newTheta[d] = Math.max(-4.0, Math.min(4.0, theta[d] + stepD));
+        maxChange = Math.max(maxChange, Math.abs(stepD));
       }
 
       theta = newTheta;
@@ -485,82 +1090,87 @@ const JointCATEngine = (() => {
     for(let i=0; i<D; i++) s.theta[bank.domains[i]] = theta[i];
   }
 
-  
-  function eligibleCandidates(bank, s){
-    // Remaining items after applying pair-exclusion constraints (if provided)
-    let cand = Array.isArray(s.remaining) ? s.remaining.slice() : [];
-    const constraints = bank.pair_exclusion_constraints || bank.pair_exclusion || null;
-    if (!constraints) return cand;
-
-    // Build fast lookup: item -> set(excluded items)
-    // Accept both {pairs:[[a,b],...]} and {a:[b,c],...} styles.
-    const excludedMap = new Map();
-    const addPair = (a,b) => {
-      if (!excludedMap.has(a)) excludedMap.set(a, new Set());
-      excludedMap.get(a).add(b);
-    };
+  // EAP scoring: per-domain posterior mean/SD by fixed-grid quadrature under the marginal
+  // N(0, prior_covariance[d][d]) prior. Unlike MAP it never sticks at the +/-4 clamp for
+  // extreme patterns, and the posterior SD is a direct quadrature value (not a Fisher approximation).
+  function eapUpdateTheta(bank, s){
+    const D = bank.domains.length;
+    const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
+    const cfg = bank.cat_config || {};
+    const nPts = (Number.isFinite(cfg.eap_quadrature_points) && cfg.eap_quadrature_points >= 11) ? Math.floor(cfg.eap_quadrature_points) : 81;
+    const priorScale = Number.isFinite(cfg.prior_precision_scale) ? cfg.prior_precision_scale : 1.0;
+
+    // Group administered responses by domain (between-item model => domains factor)
+    const byDomain = Array.from({length:D}, ()=>[]);
+    for(const a of s.administered){
+      const it = bank.items[a.item_id];
+      if(!it) continue;
+      const d = domIndex[it.domain];
+      if(d === undefined || d === null) continue;
+      byDomain[d].push({ it, resp: irtCategory(it, a.response) });
+    }
 
-    if (Array.isArray(constraints.pairs)) {
-      for (const p of constraints.pairs){
-        if (!p || p.length<2) continue;
-        addPair(p[0], p[1]); addPair(p[1], p[0]);
+    const theta = new Array(D).fill(0);
+    const sd = {};
+    for(let d=0; d<D; d++){
+      const P0 = bank.prior_covariance;
+      const v0 = (P0 && P0[d] && Number.isFinite(P0[d][d]) && P0[d][d] > 0) ? P0[d][d] : 1.0;
+      const priorSD = Math.sqrt(v0 / priorScale);
+      // Grid over +/-6 prior SDs; work in log space to avoid underflow on long patterns
+      const lo = -6 * priorSD, hi = 6 * priorSD, h = (hi - lo) / (nPts - 1);
+      const logw = new Array(nPts);
+      let maxLog = -Infinity;
+      for(let j=0; j<nPts; j++){
+        const q = lo + j * h;
+        let lw = -0.5 * (q * q) / (priorSD * priorSD);
+        for(const {it, resp} of byDomain[d]){
+          const b = (it.thresholds || []).filter(v => Number.isFinite(v));
+          lw += Math.log(Math.max(1e-300, grmCatProbs(q, it.discrimination, b)[resp]));
+        }
+        logw[j] = lw;
+        if(lw > maxLog) maxLog = lw;
       }
-    } else {
-      for (const [a, arr] of Object.entries(constraints)){
-        if (a === "meta") continue;
-        if (Array.isArray(arr)) for (const b of arr){ addPair(a,b); addPair(b,a); }
+      let sw = 0, m1 = 0, m2 = 0;
+      for(let j=0; j<nPts; j++){
+        const q = lo + j * h;
+        const w = Math.exp(logw[j] - maxLog);
+        sw += w; m1 += w * q; m2 += w * q * q;
       }
+      const mean = m1 / sw;
+      theta[d] = Number.isFinite(mean) ? mean : 0;
+      sd[bank.domains[d]] = Math.sqrt(Math.max(1e-12, m2 / sw - mean * mean));
     }
 
-    const asked = new Set(s.administered.map(x=>x.item_id));
-    // Any remaining item that conflicts with an already-asked item is removed
-    cand = cand.filter(id => {
-      for (const a of asked){
-        const ex = excludedMap.get(a);
-        if (ex && ex.has(id)) return false;
-      }
-      return true;
-    });
-    return cand;
+    s.theta_vec = theta;
+    for(let i=0; i<D; i++) s.theta[bank.domains[i]] = theta[i];
+    s.eap_sd = sd;
+  }
+
+  function scoringMethod(bank){
+    const m = String((bank.cat_config || {}).scoring_method || "MAP").toUpperCase();
+    return m === "EAP" ? "EAP" : "MAP";
+  }
+
+  // Theta update after each answer: MAP (default) or EAP per policy.scoring_method
+  function updateTheta(bank, s){
+    s.scoring_method = scoringMethod(bank);
+    if (s.scoring_method === "EAP") eapUpdateTheta(bank, s);
+    else mapUpdateTheta(bank, s);
   }
 
 function checkStop(bank, s){
-    const cfg = bank.cat_config || {};
+    const cfg = resolveConfig(bank);
     const n = s.administered.length;
-    const maxItems = (cfg.max_items ?? 18);
-    const minItems = (cfg.min_items ?? 0);
+    const maxItems = cfg.max_items;
+    const minItems = cfg.min_items;
 
     // Enforce minimum coverage without preventing termination at maxItems.
     // Goal: avoid zero-item domains and reduce prior-only (T=50/SD=0) failures.
-    const srs_domains = ['SRS_Pain', 'SRS_Function', 'SRS_Self_Image', 'SRS_Mental_Health', 'SRS_Satisfaction'];
-    const promis_domains = ['Physical_Function', 'Participation', 'Fatigue', 'Anxiety', 'Depression'];
-
-    // Per-domain minimum exposure (must be feasible within maxItems).
-    // Keep SRS minima modest (small pools / lower discrimination).
-    const min_items_by_domain = {
-      Participation: 2,
-      SRS_Mental_Health: 1,
-      SRS_Satisfaction: 1,
-      SRS_Pain: 1,
-      SRS_Function: 1,
-      SRS_Self_Image: 1,
-      Physical_Function: 1,
-      Fatigue: 1,
-      Anxiety: 1,
-      Depression: 1
-    };
-
-    let srs_min_met = true;
-    let promis_min_met = true;
+    // Per-domain minimums come from policy min_items_by_domain (validated to fit within max_items).
+    const domain_min_met = bank.domains.every(d => (s.domain_counts[d] || 0) >= minItemsFor(cfg, d));
 
-    for (const domain of srs_domains) {
-      const req = (min_items_by_domain[domain] ?? 1);
-      if ((s.domain_counts[domain] || 0) < req) { srs_min_met = false; break; }
-    }
-    for (const domain of promis_domains) {
-      const req = (min_items_by_domain[domain] ?? 1);
-      if ((s.domain_counts[domain] || 0) < req) { promis_min_met = false; break; }
-    }
+    // Every domain met its own rule: nothing left to administer
+    if (bank.domains.every(d => domainFinished(s, d))) return { stop:true, reason:"all_domains_finished" };
 
     // Respect configured minimum items first
     if (n < minItems) return { stop:false, reason:null };
@@ -576,51 +1186,132 @@ function checkStop(bank, s){
     }
 
     // If minimum per-domain exposure not met, keep going until maxItems (do NOT exceed maxItems)
-    if (!srs_min_met || !promis_min_met) {
+    if (!domain_min_met) {
       if (n >= maxItems) return { stop:true, reason:"max_items" };
       return { stop:false, reason:null };
     }
 
-    // Precision-based stopping
+    // Precision-based stopping, on the SEs finish() would report now (not the running s.se)
     // NOTE: In mixed PROMIS+SRS banks, SRS domains (small pools, lower discrimination) may never reach the same
     // precision targets as PROMIS within a short test. To avoid forcing maxItems every time, we allow stopping
-    // based on PROMIS-only global precision once minimum domain exposure requirements are met.
-    const thr_all = (cfg.global_SE_threshold ?? cfg.target_global_se ?? 0.35);
-    const gse_all = globalSE(s);
-
-    // PROMIS-only RMS SE
-    const promis_ses = promis_domains
-      .map(d => s.se[d])
-      .filter(v => typeof v === "number");
-    const gse_promis = (promis_ses.length)
-      ? Math.sqrt(promis_ses.reduce((acc,v)=>acc+v*v,0)/promis_ses.length)
-      : null;
-
-    const thr_promis = (cfg.promis_SE_threshold ?? thr_all);
+    // based on an instrument group's RMS SE (policy group_SE_thresholds) once minimum domain exposure is met.
+    const seMap = reportedSEs(bank, s);
+    const thr_all = cfg.global_SE_threshold;
+    const gse_all = globalSE(s, seMap);
 
-    // Prefer full precision when achievable; otherwise allow PROMIS precision stop.
+    // Prefer full precision when achievable; otherwise allow a per-instrument precision stop.
     if (gse_all !== null && gse_all <= thr_all) return { stop:true, reason:"precision_reached_all_domains" };
-    if (gse_promis !== null && gse_promis <= thr_promis) return { stop:true, reason:"precision_reached_promis" };
-
+    for (const [group, thr] of Object.entries(cfg.group_SE_thresholds || {})){
+      const doms = (cfg.instrument_groups || {})[group] || [];
+      const ses = doms.map(d => seMap[d]).filter(v => typeof v === "number");
+      const gse = ses.length ? Math.sqrt(ses.reduce((acc,v)=>acc+v*v,0)/ses.length) : null;
+      if (gse !== null && gse <= thr) return { stop:true, reason:`precision_reached_${group.toLowerCase()}` };
+    }
 
     // Hard cap
     if (n >= maxItems) return { stop:true, reason:"max_items" };
 
     // Bank exhausted
     if (cfg.stop_if_bank_exhausted) {
-      const cand = eligibleCandidates(bank, s);
-      if (!cand || cand.length === 0) return { stop:true, reason:"bank_exhausted" };
+      if (!eligibleItems(bank, s).allowed.length) return { stop:true, reason:"bank_exhausted" };
     }
 
     return { stop:false, reason:null };
   }
 
+  // Number of items still to come if the CAT keeps going as it would now: the item on screen, then
+  // repeatedly the best-scoring eligible item under the policy's selection rule (coverage first,
+  // soft domain penalty), applied to a copy of the posterior covariance until checkStop() fires.
+  // Responses are unknown, so theta is held at the current estimate and item information is the
+  // expected information there. Deterministic: exposure control and the RNG are not consulted.
+  function projectRemaining(bank, s){
+    const cfg = resolveConfig(bank);
+    const domIndex = Object.fromEntries(bank.domains.map((d,i)=>[d,i]));
+    const algo = parseSelectionAlgorithm(cfg.selection_algorithm);
+    const p = {
+      administered: s.administered.map(a => ({ item_id: a.item_id, domain: a.domain })),
+      domain_counts: Object.assign({}, s.domain_counts),
+      domain_status: deepCopy(s.domain_status || {}),
+      se: Object.assign({}, s.se),
+      Sigma: deepCopy(s.Sigma),
+      theta_vec: s.theta_vec.slice(),
+      remaining: (s.remaining || []).slice(),
+      exposure_blocked: s.exposure_blocked || [],
+      constraints_adj: s.constraints_adj || {}
+    };
+    let next = s.current_item_id;
+    let k = 0;
+    while (p.administered.length < cfg.max_items){
+      if (next === null || next === undefined) {
+        const { allowed } = eligibleItems(bank, p);
+        if (!allowed.length) break;
+        const pool = coveragePool(bank, p, cfg, allowed, coverageNeeded(bank, p));
+        const scored = scoreCandidates(bank, p, cfg, algo, pool, domIndex);
+        next = scored.reduce((best, x) => (x.score > best.score ? x : best)).id;
+      }
+      const it = bank.items[next];
+      p.administered.push({ item_id: next, domain: it.domain });
+      p.domain_counts[it.domain] = (p.domain_counts[it.domain] || 0) + 1;
+      p.remaining = p.remaining.filter(id => id !== next);
+      updatePosteriorCov(bank, p, it);
+      updateSE(bank, p);
+      updateDomainStatus(bank, p);
+      k += 1;
+      next = null;
+      if (checkStop(bank, p).stop) break;
+    }
+    return k;
+  }
+
+  // Progress forecast: { answered, remaining, min_remaining, max_remaining, expected_total, fraction }.
+  // `remaining` is the projection above, kept within what the policy still requires (min_items,
+  // per-domain minimums, domains_min, the item on screen) and what it allows (max_items, eligible pool).
+  function estimateRemaining(bank, s){
+    const cfg = resolveConfig(bank);
+    const n = s.administered.length;
+    if (s.is_finished) {
+      return { answered: n, remaining: 0, min_remaining: 0, max_remaining: 0, expected_total: n, fraction: 1 };
+    }
+    const pool = eligibleItems(bank, s).allowed.length;
+    const maxRemaining = Math.max(1, Math.min(cfg.max_items - n, pool));
+    const shortfall = bank.domains.reduce((acc, d) => acc + (domainFinished(s, d) ? 0 : Math.max(0, minItemsFor(cfg, d) - (s.domain_counts[d] || 0))), 0);
+    const covered = new Set(s.administered.map(a => a.domain)).size;
+    const coverageGap = cfg.domains_min != null ? Math.max(0, cfg.domains_min - covered) : 0;
+    const minRemaining = Math.min(maxRemaining, Math.max(1, cfg.min_items - n, shortfall, coverageGap));
+    const remaining = Math.min(maxRemaining, Math.max(minRemaining, projectRemaining(bank, s)));
+    return {
+      answered: n,
+      remaining,
+      min_remaining: minRemaining,
+      max_remaining: maxRemaining,
+      expected_total: n + remaining,
+      fraction: n / (n + remaining)
+    };
+  }
+
+  // Shown progress never moves backwards (a forecast that grows, or "Previous question", holds it):
+  // the high-water mark is kept in the session so it also survives a resume.
+  function progressShown(s, estimate){
+    if (estimate.fraction >= 1) return 1;
+    const shown = Math.max(s.progress_high || 0, estimate.fraction);
+    s.progress_high = shown;
+    return shown;
+  }
+
   function finish(bank, norms, s, reason){
     const normsMap = (norms && norms.domains) ? norms.domains : norms;
     s.is_finished = true;
     s.stop_reason = reason || s.stop_reason || "finished";
     updateSE(bank, s);
 
+    // Keep both covariances for diagnostics: running (selection) and final (reporting)
+    s.se_running = Object.assign({}, s.se);
+    s.Sigma_final = finalPosteriorCov(bank, s);
+    s.se_final = Object.fromEntries(bank.domains.map((d,i)=>[d, Math.sqrt(Math.max(1e-12, s.Sigma_final[i][i]))]));
+
+    // Reported SEs: quadrature posterior SDs under EAP, otherwise sqrt(diag(Sigma_final))
+    const reportedSE = reportedSEs(bank, s, s.Sigma_final);
+
     // Build clinician-facing results object
     const domainResults = [];
     const domainIds = (bank.domains || []).map(d => (typeof d === "string" ? d : d.id)).filter(Boolean);
@@ -635,7 +1326,8 @@ function checkStop(bank, s){
     }
     function toPercentile(theta, norm){
       if (!norm) return null;
-      // Preferred: theta_scale percentiles table from empirical data
+      // Preferred: theta_scale percentiles table (z-scored raw sum-score percentiles standing in
+      // for the theta distribution, so the result is approximate; see the norms metadata)
       if (norm.theta_scale && norm.theta_scale.percentiles){
         const pts = norm.theta_scale.percentiles;
         // convert {p5:val,...} into sorted list
@@ -660,16 +1352,21 @@ function checkStop(bank, s){
       const z = theta;
       return Math.round(100 * normalCdf(z));
     }
-    function severityBand(theta, norm){
-      // If we have empirical percentile-based bands in the norms, use percentile
-      if (norm && norm.severity_bands){
-        const pct = toPercentile(theta, norm);
-        if (pct === null) return "";
-        if (pct <= 20) return "Very low";
-        if (pct <= 40) return "Low";
-        if (pct <= 60) return "Moderate";
-        if (pct <= 80) return "High";
-        return "Very high";
+    // pct is the reported-direction percentile; bands come from the norms' percentile ranges
+    // ("0-20th", ...), preferring the theta-scale section
+    // Band whose percentile range ("20-40th") contains the reported percentile
+    function severityBand(theta, pct, norm){
+      const bands = norm && ((norm.theta_scale && norm.theta_scale.severity_bands) || norm.severity_bands);
+      if (bands && pct !== null){
+        const ordered = Object.entries(bands)
+          .map(([key, b]) => ({ key, upper: parseFloat(String(b && b.percentile || "").split("-")[1]) }))
+          .filter(b => Number.isFinite(b.upper))
+          .sort((a, b) => a.upper - b.upper);
+        const hit = ordered.find(b => pct <= b.upper) || ordered[ordered.length - 1];
+        if (hit) {
+          const label = hit.key.replace(/_/g, " ");
+          return label.charAt(0).toUpperCase() + label.slice(1);
+        }
       }
       // Fallback: SD cutoffs on theta (assume mean=0, sd=1)
       const z = theta;
@@ -681,16 +1378,18 @@ function checkStop(bank, s){
 
     for (const did of domainIds){
       const theta = (s.theta && typeof s.theta[did] === "number") ? s.theta[did] : 0;
-      const se = (s.se && typeof s.se[did] === "number") ? s.se[did] : null;
+      const se = (reportedSE && typeof reportedSE[did] === "number") ? reportedSE[did] : null;
 
       const norm = normsMap && normsMap[did] ? normsMap[did] : null;
       // For PROMIS function domains we *report* higher = better (PROMIS convention)
       // even though the calibrated bank uses higher theta = worse.
-      // Use reported-theta (sign-flipped) for percentile/severity so labels match the reported T-score.
+      // theta_scale is in the calibrated (bank) direction, so look the estimate up there
+      // and flip the percentile, not theta, so percentile/severity match the reported T-score.
       const isPromisFunction = (did === 'Physical_Function' || did === 'Participation');
       const reportTheta = isPromisFunction ? (-theta) : theta;
-      const pct = toPercentile(reportTheta, norm);
-      const sev = severityBand(reportTheta, norm);
+      const bankPct = toPercentile(theta, norm);
+      const pct = (bankPct === null) ? null : (isPromisFunction ? 100 - bankPct : bankPct);
+      const sev = severityBand(reportTheta, pct, norm);
 
       // Convert theta to T-score.
       // - PROMIS symptom domains (Anxiety/Depression/Fatigue): higher theta = worse => higher T = worse
@@ -702,6 +1401,10 @@ function checkStop(bank, s){
         domain: did,
         theta,
         se,
+        se_running: (typeof s.se_running[did] === "number") ? s.se_running[did] : null,
+        n_items: (s.domain_counts && s.domain_counts[did]) || 0,
+        // Why this domain stopped receiving items: "precision", "max_items", or null (session ended first)
+        domain_stop_reason: (s.domain_status && s.domain_status[did] && s.domain_status[did].reason) || null,
         t_score,
         percentile: pct,
         severity: sev,
@@ -712,23 +1415,40 @@ function checkStop(bank, s){
     const itemsAdmin = (s.administered || []).map(r => {
       const it = bank.items && bank.items[r.item_id] ? bank.items[r.item_id] : null;
       const opt = (it && it.response_options && Array.isArray(it.response_options)) ? it.response_options : [];
-      const idx = (typeof r.response === "number") ? r.response : r.choice_index;
+      // response_options are in display order, so the label comes from the index the patient chose
+      const idx = (typeof r.raw_response === "number") ? r.raw_response
+        : (typeof r.response === "number") ? r.response : r.choice_index;
       const chosen = (typeof idx === "number" && opt[idx]) ? opt[idx] : null;
       return {
         item_id: r.item_id,
         domain: it ? it.domain : (r.domain || ""),
         stem: it ? (it.stem || it.label || it.item_text || "") : "",
-        response: chosen ? (chosen.label || chosen.text || chosen) : idx
+        response: chosen ? (chosen.label || chosen.text || chosen) : idx,
+        response_index: (typeof idx === "number") ? idx : null,
+        score: (typeof r.response === "number") ? r.response : null,
+        // Fisher information this item contributes at the final domain estimate
+        info_at_final_theta: (it && s.theta && typeof s.theta[it.domain] === "number") ? itemInfo(s.theta[it.domain], it) : null,
+        answered_at: r.ts || null
       };
     });
 
-    s.global_SE = globalSE(s);
+    s.global_SE = globalSE(s, reportedSE);
     s.results = {
+      session_id: s.session_id || null,
       total_items: (s.administered || []).length,
       stop_reason: s.stop_reason,
+      scoring_method: s.scoring_method || scoringMethod(bank),
       global_SE: s.global_SE,
       domain_results: domainResults,
-      items_administered: itemsAdmin
+      items_administered: itemsAdmin,
+      trajectory: trajectory(bank, s),
+      // Percentiles/severity are referenced to this sample, not to a population
+      norms_source: normsSource(norms),
+      started_at: s.created_at || null,
+      completed_at: s.updated_at || null,
+      provenance: s.provenance || null,
+      language: s.language || null,
+      visit: s.visit || null
     };
 
     return s;
@@ -783,6 +1503,7 @@ function answer(bank, norms, s, itemId, responseIdx){
     const raw_responseIdx = responseIdx;
     const mapped_responseIdx = normalizeResponseIdx(item, responseIdx);
     s.administered.push({item_id: itemId, response: mapped_responseIdx, raw_response: raw_responseIdx, domain: item.domain, ts: new Date().toISOString()});
+    s.updated_at = s.administered[s.administered.length - 1].ts;
     s.domain_counts[item.domain] = (s.domain_counts[item.domain]||0) + 1;
     // remove from remaining
     s.remaining = s.remaining.filter(id=>id!==itemId);
@@ -791,8 +1512,15 @@ function answer(bank, norms, s, itemId, responseIdx){
     updatePosteriorCov(bank, s, item);
     updateSE(bank, s);
 
-    // MAP update theta
-    mapUpdateTheta(bank, s);
+    // Score theta (MAP, or EAP when the policy asks for it)
+    updateTheta(bank, s);
+    updateDomainStatus(bank, s);
+    // Trajectory for research exports: estimate and running SE of every domain after this answer
+    const rec = s.administered[s.administered.length - 1];
+    rec.theta_after = s.theta_vec.slice();
+    rec.se_after = bank.domains.map(d => s.se[d]);
+    rec.selection = (s.current_selection && s.current_selection.item_id === itemId) ? s.current_selection : null;
+    s.current_selection = null;
 
     // stopping
     const stopCheck = checkStop(bank, s);
@@ -811,10 +1539,14 @@ function answer(bank, norms, s, itemId, responseIdx){
 
   function backOne(bank, norms, s){
     if (!s.administered.length) return s;
-    // Rebuild session from scratch by replaying answers up to n-1 (simpler + safe)
+    // Rebuild session from scratch by replaying answers up to n-1 (simpler + safe).
+    // Replay uses the recorded item ids and raw (display) indices, so the item sequence and
+    // theta path are identical to the original administration.
     const answers = s.administered.slice(0, -1);
+    const undone = s.administered[s.administered.length - 1];
     const bank0 = bank;
-    const session = createSession(bank0, norms, s.constraints_raw || null);
+    // Same seed => the replay consumes the same random draws as the original administration
+    const session = createSession(bank0, norms, s.constraints_raw || null, { patientSeed: s.seed ? s.seed.patient : null });
     session.administered = [];
     session.remaining = Object.keys(bank0.items);
     session.domain_counts = {};
@@ -823,22 +1555,99 @@ function answer(bank, norms, s, itemId, responseIdx){
     session.Sigma = deepCopy(bank0.prior_covariance);
     session.is_finished = false;
     session.stop_reason = null;
+    session.created_at = s.created_at || session.created_at;
+    session.session_id = s.session_id || session.session_id;
+    session.provenance = s.provenance || null;
+    session.language = s.language || null;
+    session.visit = s.visit || null;
+    session.progress_high = s.progress_high || 0;
 
     for (const a of answers){
-      answer(bank0, norms, session, a.item_id, a.response);
+      const raw = (typeof a.raw_response === 'number') ? a.raw_response : a.response;
+      answer(bank0, norms, session, a.item_id, raw);
       if (session.is_finished) break;
     }
+    // Keep the original answer timestamps (replay would otherwise stamp "now")
+    session.administered.forEach((r, i) => { if (answers[i] && answers[i].ts) r.ts = answers[i].ts; });
+
+    // Re-present the undone item rather than whatever selection would pick now
+    session.current_item_id = undone.item_id;
+    session.current_selection = undone.selection || null;
     return session;
   }
 
+  // Policy fields override the bank's cat_config. Returns a shallow copy so the caller's bank is untouched.
+  function withPolicy(bank, policy){
+    if (!bank || !policy) return bank;
+    return Object.assign({}, bank, { cat_config: Object.assign({}, bank.cat_config || {}, policy) });
+  }
+
+  // Engine instance with the nextItem/answer API used by app.js. All assets are explicit
+  // arguments (no globals), so the same factory runs in the browser and in Node.
+  // Pass `session` (a stored snapshot) to resume an interrupted administration instead of starting over.
+  // `seed` (optional) is a per-patient seed mixed with the policy random_seed.
+  // `provenance` (optional) is stamped into new sessions and checked against a resumed one.
+  // `language` and `visit` (optional) are recorded in new sessions; a resumed session keeps its own.
+  function createEngine({ bank, itembank, norms, pair_constraints, constraints, policy, session, maxResumeAgeHours, seed, provenance, language, visit } = {}) {
+    const _bank = withPolicy(bank || itembank || null, policy);
+    const _norms = norms || null;
+    const _constraints = pair_constraints || constraints || (_bank && _bank.constraints_raw) || null;
+    let _session = session
+      ? restoreSession(_bank, session, { maxAgeHours: maxResumeAgeHours, provenance })
+      : createSession(_bank, _norms, _constraints, { patientSeed: seed, provenance, language, visit });
+
+    return {
+      getNextItem: () => nextItem(_bank, _session, _norms),
+      nextItem: () => nextItem(_bank, _session, _norms),
+      answer: (itemId, choiceIndex) => {
+        const s2 = answer(_bank, _norms, _session, itemId, choiceIndex);
+        if (s2) _session = s2;
+        return { done: !!_session.is_finished, results: _session.results || null, session: _session };
+      },
+      backOne: () => {
+        const last = _session.administered[_session.administered.length - 1];
+        if (!last || _session.is_finished) return null;
+        _session = backOne(_bank, _norms, _session);
+        return {
+          item: getCurrentItem(_bank, _session),
+          previous_response: (typeof last.raw_response === 'number') ? last.raw_response : last.response,
+          session: _session
+        };
+      },
+      canGoBack: () => !_session.is_finished && (_session.administered || []).length > 0,
+      // Forecast of items left plus `progress`, the monotonic fraction to display
+      estimateRemaining: () => {
+        const est = estimateRemaining(_bank, _session);
+        return Object.assign(est, { progress: progressShown(_session, est) });
+      },
+      isFinished: () => !!_session.is_finished,
+      getResults: () => (_session.results || finish(_bank, _norms, _session, _session.stop_reason)),
+      _getSession: () => _session
+    };
+  }
+
   return {
+    createEngine,
     createSession,
+    restoreSession,
+    resumeProblem,
+    resumeCheck,
     nextItem,
     getCurrentItem,
     answer,
     backOne,
     finish,
-    globalSE
+    estimateRemaining,
+    globalSE,
+    registerSelectionStrategy,
+    selectionStrategies: () => Object.keys(SELECTION_STRATEGIES),
+    // Model helpers (simulation / research tooling)
+    grmCatProbs,
+    itemInfo,
+    irtCategory,
+    responseForCategory,
+    cholesky,
+    mulberry32
   };
 })();
 
@@ -846,52 +1655,24 @@ function answer(bank, norms, s, itemId, responseIdx){
 // Browser exports
 if (typeof window !== 'undefined') {
   window.JointCATEngine = JointCATEngine;
-  // Factory that returns an engine instance with nextItem/getNextItem API expected by app.js
-  function coverageNeeded(bank, s){
-    const need=[];
-    const req = (s.required_domains && Array.isArray(s.required_domains) && s.required_domains.length)
-      ? s.required_domains
-      : (bank.domains || []);
-    for(const d of req){
-      if (!s.domain_counts[d]) need.push(d);
-    }
-    return need;
-  }
-
-  function createJointCATEngine({ bank, itembank, norms, pair_constraints, constraints } = {}) {
-    // Some UI builds keep assets on window.__CAT_ASSETS__. Provide a robust fallback
-    // so the engine can still start even if the caller forgets to pass "bank".
-    const globalAssets = (typeof window !== 'undefined' && window.__CAT_ASSETS__) ? window.__CAT_ASSETS__ : null;
-    const _bank = bank || itembank || (globalAssets && globalAssets.bank) || null;
-    const _norms = norms || (globalAssets && globalAssets.norms) || null;
-    const _constraints = pair_constraints || constraints || (globalAssets && (globalAssets.pair_constraints || globalAssets.constraints)) || (_bank && _bank.constraints_raw) || null;
-    let _session = JointCATEngine.createSession(_bank, _norms, _constraints);
-
-    return {
-      getNextItem: () => JointCATEngine.nextItem(_bank, _session),
-      nextItem: () => JointCATEngine.nextItem(_bank, _session),
-      answer: (itemId, choiceIndex) => {
-        const s2 = JointCATEngine.answer(_bank, _norms, _session, itemId, choiceIndex);
-        if (s2) _session = s2;
-        return { done: !!_session.is_finished, results: _session.results || null, session: _session };
-      },
-      isFinished: () => !!_session.is_finished,
-      getResults: () => (_session.results || JointCATEngine.finish(_bank, _norms, _session, _session.stop_reason)),
-      _getSession: () => _session
-    };
+  // Factory that returns an engine instance with nextItem/getNextItem API expected by app.js.
+  // Some UI builds keep assets on window.__CAT_ASSETS__. Provide a robust fallback
+  // so the engine can still start even if the caller forgets to pass "bank".
+  window.createJointCATEngine = function createJointCATEngine(opts = {}) {
+    const globalAssets = window.__CAT_ASSETS__ || {};
+    return JointCATEngine.createEngine(Object.assign({}, opts, {
+      bank: opts.bank || opts.itembank || globalAssets.bank || null,
+      norms: opts.norms || globalAssets.norms || null,
+      constraints: opts.pair_constraints || opts.constraints || globalAssets.pair_constraints || globalAssets.constraints || null,
+      policy: opts.policy || globalAssets.policy || null
+    }));
   };
-
-  // Expose factory on window for app.js
-  window.createJointCATEngine = createJointCATEngine;
 }
 
-// --- RNG helper (deterministic per-session) ---
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let x = Math.imul(t ^ (t >>> 15), 1 | t);
-    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+// CommonJS exports (Node / headless simulation). See cat_engine.mjs for the ESM entry.
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    JointCATEngine,
+    createJointCATEngine: JointCATEngine.createEngine
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,10 @@
+// ESM entry for Node: re-exports the CommonJS build of cat_engine.js
+// (import { createJointCATEngine } from "./assets/cat_engine.mjs").
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const engine = require("./cat_engine.js");
+
+export const JointCATEngine = engine.JointCATEngine;
+export const createJointCATEngine = engine.createJointCATEngine;
+export default engine;
@@ -0,0 +1,163 @@
+
+// SpinePRO Joint CAT FHIR R4 export
+// Turns a finish() results payload into a Bundle holding one QuestionnaireResponse (item-level
+// answers) and one Observation per domain (T-score, SE, percentile; dataAbsentReason for a domain
+// that was not scored). No globals are read, so the same code runs on results.html and in
+// Node-side EHR integrations.
+//
+// The urn:spinepro:* systems are local code systems. The T-scores come from this bank's joint
+// calibration (theta standardized to the calibration sample), not the PROMIS-centred metric, so
+// PROMIS LOINC codes would misstate them; the Bundle carries a meta tag saying the codes are local.
+const CATFhirExport = (() => {
+
+  const SYSTEMS = {
+    questionnaire: "urn:spinepro:questionnaire",
+    domain: "urn:spinepro:cat-domain",
+    item: "urn:spinepro:cat-item",
+    answer: "urn:spinepro:response-option",
+    component: "urn:spinepro:cat-score",
+    tag: "urn:spinepro:bundle-tag",
+    category: "http://terminology.hl7.org/CodeSystem/observation-category",
+    dataAbsent: "http://terminology.hl7.org/CodeSystem/data-absent-reason",
+    ucum: "http://unitsofmeasure.org"
+  };
+
+  const DOMAIN_LABELS = {
+    Physical_Function: "PROMIS Physical Function",
+    Participation: "PROMIS Ability to Participate in Social Roles",
+    Fatigue: "PROMIS Fatigue",
+    Anxiety: "PROMIS Anxiety",
+    Depression: "PROMIS Depression",
+    SRS_Pain: "SRS-22r Pain",
+    SRS_Function: "SRS-22r Function",
+    SRS_Self_Image: "SRS-22r Self-Image",
+    SRS_Mental_Health: "SRS-22r Mental Health",
+    SRS_Satisfaction: "SRS-22r Satisfaction"
+  };
+
+  function uuid(){
+    const c = (typeof crypto !== "undefined") ? crypto : null;
+    if (c && typeof c.randomUUID === "function") return c.randomUUID();
+    // RFC 4122 v4 layout from Math.random (only where WebCrypto is missing)
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, ch => {
+      const r = Math.random() * 16 | 0;
+      return (ch === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+  }
+
+  function num(x, digits){
+    return (typeof x === "number" && Number.isFinite(x)) ? Number(x.toFixed(digits)) : null;
+  }
+
+  function quantity(value, unit, code){
+    return { value, unit, system: SYSTEMS.ucum, code };
+  }
+
+  function component(code, display, valueQuantity){
+    return { code: { coding: [{ system: SYSTEMS.component, code, display }], text: display }, valueQuantity };
+  }
+
+  function questionnaireResponse(results, ctx){
+    const items = (results.items_administered || []).map(r => {
+      const answer = (r.response_index !== null && r.response_index !== undefined)
+        ? { valueCoding: { system: `${SYSTEMS.answer}/${r.item_id}`, code: String(r.response_index), display: String(r.response) } }
+        : { valueString: String(r.response) };
+      return {
+        linkId: r.item_id,
+        definition: `${SYSTEMS.item}#${r.item_id}`,
+        text: r.stem || r.item_id,
+        answer: [answer]
+      };
+    });
+    const qr = {
+      resourceType: "QuestionnaireResponse",
+      id: ctx.qrId,
+      questionnaire: ctx.questionnaire,
+      status: "completed",
+      authored: ctx.authored,
+      item: items
+    };
+    // language describes the resource text: item text and answer displays are the bank's English
+    // wording whatever language the patient answered in (results.language)
+    qr.language = "en";
+    if (ctx.subject) qr.subject = ctx.subject;
+    return qr;
+  }
+
+  // A domain without administered items has only its prior estimate, which is not a score:
+  // it gets dataAbsentReason "not-asked" instead of a value
+  function domainObservation(dr, ctx){
+    const tSE = num(typeof dr.se === "number" ? dr.se * 10 : null, 2);
+    const scored = dr.n_items > 0 && typeof dr.t_score === "number";
+    const components = (scored ? [
+      component("theta", "Theta (logit scale)", quantity(num(dr.theta, 4), "{logit}", "{logit}")),
+      component("t_score_se", "Standard error (T-score units)", tSE === null ? undefined : quantity(tSE, "{T-score}", "{T-score}")),
+      component("percentile", "Sample percentile", dr.percentile === null || dr.percentile === undefined ? undefined : quantity(dr.percentile, "%", "%"))
+    ] : []).concat([
+      component("n_items", "Items administered", quantity(dr.n_items || 0, "{items}", "{items}"))
+    ]).filter(c => c.valueQuantity && c.valueQuantity.value !== null);
+    const absent = dr.n_items > 0
+      ? { code: "unknown", display: "Unknown" }
+      : { code: "not-asked", display: "Not Asked" };
+
+    const obs = {
+      resourceType: "Observation",
+      id: uuid(),
+      status: "final",
+      category: [{ coding: [{ system: SYSTEMS.category, code: "survey", display: "Survey" }] }],
+      code: {
+        coding: [{ system: SYSTEMS.domain, code: dr.domain, display: DOMAIN_LABELS[dr.domain] || dr.domain }],
+        text: `${DOMAIN_LABELS[dr.domain] || dr.domain} T-score`
+      },
+      effectiveDateTime: ctx.authored,
+      ...(scored
+        ? { valueQuantity: quantity(num(dr.t_score, 1), "{T-score}", "{T-score}") }
+        : { dataAbsentReason: { coding: [{ system: SYSTEMS.dataAbsent, code: absent.code, display: absent.display }] } }),
+      component: components,
+      derivedFrom: [{ reference: `urn:uuid:${ctx.qrId}` }]
+    };
+    if (ctx.subject) obs.subject = ctx.subject;
+    if (scored && dr.severity) obs.interpretation = [{ text: dr.severity }];
+    if (dr.clinical_note) obs.note = [{ text: dr.clinical_note }];
+    return obs;
+  }
+
+  // results: finish() payload (domain_results, items_administered, completed_at, provenance).
+  // opts.patient: FHIR reference for the subject, e.g. "Patient/123" (optional)
+  // opts.questionnaire: canonical URL to cite (defaults to the SpinePRO URN plus bank version)
+  function toBundle(results, opts = {}){
+    if (!results || !Array.isArray(results.domain_results)) {
+      throw new Error("FHIR export needs a finished results payload (domain_results missing).");
+    }
+    const prov = results.provenance || {};
+    const ctx = {
+      qrId: uuid(),
+      authored: results.completed_at || opts.authored || new Date().toISOString(),
+      subject: opts.patient ? { reference: opts.patient } : null,
+      questionnaire: opts.questionnaire || `${SYSTEMS.questionnaire}/joint-cat${prov.bank_version ? "|" + prov.bank_version : ""}`
+    };
+    const qr = questionnaireResponse(results, ctx);
+    const observations = results.domain_results
+      .filter(dr => dr && dr.domain)
+      .map(dr => domainObservation(dr, ctx));
+
+    return {
+      resourceType: "Bundle",
+      id: uuid(),
+      type: "collection",
+      meta: { tag: [{ system: SYSTEMS.tag, code: "local-codes", display: "Domain, item, answer and score codes use local urn:spinepro:* code systems (no LOINC mapping)" }] },
+      timestamp: new Date().toISOString(),
+      entry: [qr, ...observations].map(resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource }))
+    };
+  }
+
+  return { toBundle, DOMAIN_LABELS };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATFhirExport = CATFhirExport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATFhirExport;
+}
@@ -0,0 +1,114 @@
+
+// SpinePRO Joint CAT localization
+// UI string catalogs (assets/i18n/ui.<lang>.json, flat "dotted.key": "text" maps with {name}
+// placeholders) and per-language item text (assets/i18n/items.<lang>.json, keyed by item id with
+// { stem, options } like srs_item_text.json). Translations are display-only: the engine scores
+// against the English bank and an answer is the index of the option shown, so translated options
+// must keep the bank's order. Item wording is clinical: a language is only offered to patients once
+// its items.<lang>.json is released (metadata.status "final", the licensed validated version).
+const CATI18n = (() => {
+
+  const LANGUAGES = { en: "English", es: "Español" };
+  const DEFAULT_LANGUAGE = "en";
+  const STORAGE_KEY = "spinepro_lang_v1";
+
+  const catalogs = {};
+  let current = DEFAULT_LANGUAGE;
+
+  function normalizeLanguage(lang){
+    const code = String(lang || "").trim().toLowerCase().split(/[-_]/)[0];
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code) ? code : null;
+  }
+
+  // ?lang= wins (clinic links and kiosk setups), then the last choice on this device, then English
+  function detectLanguage(search, storage){
+    try {
+      const fromUrl = normalizeLanguage(new URLSearchParams(search || "").get("lang"));
+      if (fromUrl) return fromUrl;
+    } catch (_) {}
+    try {
+      const stored = storage && normalizeLanguage(storage.getItem(STORAGE_KEY));
+      if (stored) return stored;
+    } catch (_) {}
+    return DEFAULT_LANGUAGE;
+  }
+
+  function setLanguage(lang, storage){
+    current = normalizeLanguage(lang) || DEFAULT_LANGUAGE;
+    try { if (storage) storage.setItem(STORAGE_KEY, current); } catch (_) {}
+    return current;
+  }
+
+  function getLanguage(){ return current; }
+
+  function addCatalog(lang, catalog){
+    const entries = Object.entries(catalog || {}).filter(([k, v]) => k !== "meta" && k !== "metadata" && typeof v === "string");
+    catalogs[lang] = Object.assign(catalogs[lang] || {}, Object.fromEntries(entries));
+  }
+
+  function lookup(key){
+    const own = catalogs[current];
+    if (own && own[key] !== undefined) return own[key];
+    const fallback = catalogs[DEFAULT_LANGUAGE];
+    return (fallback && fallback[key] !== undefined) ? fallback[key] : undefined;
+  }
+
+  function has(key){ return lookup(key) !== undefined; }
+
+  // True for an items.<lang>.json whose metadata.status is "final"; drafts are for review only
+  function isReleased(resource){
+    const meta = resource && (resource.metadata || resource.meta);
+    return !!meta && meta.status === "final";
+  }
+
+  // Missing keys come back as the key itself so a gap is visible rather than blank
+  function t(key, vars){
+    const text = lookup(key);
+    if (text === undefined) return key;
+    return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined || vars[name] === null) ? "" : String(vars[name])) : text;
+  }
+
+  // Count-dependent strings: "<key>.one" for 1, "<key>.other" otherwise; {n} is filled in
+  function tn(key, n, vars){
+    return t(`${key}.${n === 1 ? "one" : "other"}`, Object.assign({ n }, vars));
+  }
+
+  // Static page text: data-i18n sets textContent, data-i18n-aria-label sets aria-label.
+  // Elements whose key has no catalog entry keep their HTML text.
+  function applyStatic(root){
+    if (!root || typeof root.querySelectorAll !== "function") return;
+    for (const el of root.querySelectorAll("[data-i18n]")){
+      const key = el.getAttribute("data-i18n");
+      if (has(key)) el.textContent = t(key);
+    }
+    for (const el of root.querySelectorAll("[data-i18n-aria-label]")){
+      const key = el.getAttribute("data-i18n-aria-label");
+      if (has(key)) el.setAttribute("aria-label", t(key));
+    }
+  }
+
+  // Text to display for a bank item: the translation entry where present, else the bank's own text.
+  // entry is one normalized { stem, options } record; options are ignored unless they match the bank count.
+  function itemText(item, entry){
+    const bankStem = String((item && (item.stem || item.question || item.item_text || item.label)) || "").trim();
+    const bankOptions = (item && (item.response_options || item.options)) || [];
+    const options = (entry && Array.isArray(entry.options) && entry.options.length === bankOptions.length)
+      ? entry.options.map(o => (o && typeof o === "object") ? (o.label || o.text || "") : String(o))
+      : bankOptions.map(o => (o && typeof o === "object") ? (o.label || o.text || "") : String(o));
+    return { stem: (entry && entry.stem) || bankStem, options };
+  }
+
+  return {
+    LANGUAGES, DEFAULT_LANGUAGE, STORAGE_KEY,
+    normalizeLanguage, detectLanguage, setLanguage, getLanguage,
+    addCatalog, has, t, tn, applyStatic, itemText, isReleased
+  };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATI18n = CATI18n;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATI18n;
+}
@@ -0,0 +1,98 @@
+
+// SpinePRO Joint CAT item-text layer
+// Merges external text resources (e.g. srs_item_text.json) into bank items at load time.
+// A resource maps item ids to either a stem string or { stem, options: [...] }, where options are
+// per-category labels in display order. Text already in the bank is authoritative: resources fill
+// items that lack a stem or option labels. A disagreement is reported as a conflict, which the asset
+// validator treats as an error, because it means the resource is keyed to a different question.
+const CATItemText = (() => {
+
+  function stemOf(item){
+    const t = item && (item.stem || item.question || item.item_text || item.label);
+    return (typeof t === "string" && t.trim()) ? t.trim() : null;
+  }
+
+  function optionLabels(item){
+    const opts = item && (item.response_options || item.options);
+    if (!Array.isArray(opts) || !opts.length) return null;
+    const labels = opts.map(o => (o && typeof o === "object") ? (o.label || o.text || "") : String(o == null ? "" : o));
+    return labels.every(l => l.trim()) ? labels : null;
+  }
+
+  // { id: { stem, options } } from either supported entry shape; metadata keys are skipped
+  function normalizeResource(res){
+    const out = {};
+    for (const [id, v] of Object.entries(res || {})){
+      if (id === "meta" || id === "metadata") continue;
+      if (typeof v === "string") out[id] = { stem: v.trim() || null, options: null };
+      else if (v && typeof v === "object") {
+        const stem = v.stem || v.text || v.item_text || null;
+        const options = Array.isArray(v.options) ? v.options : (Array.isArray(v.response_options) ? v.response_options : null);
+        out[id] = { stem: typeof stem === "string" ? stem.trim() || null : null, options };
+      }
+    }
+    return out;
+  }
+
+  // Returns { bank, report } with a shallow-copied bank (items cloned only where text was added).
+  // report: filled [{item_id, field}], conflicts [{item_id, field, message}], unknown [item_id]
+  function applyItemText(bank, resources){
+    const report = { filled: [], conflicts: [], unknown: [] };
+    if (!bank || !bank.items) return { bank, report };
+    const items = Object.assign({}, bank.items);
+
+    for (const res of [].concat(resources || []).filter(Boolean)){
+      for (const [id, text] of Object.entries(normalizeResource(res))){
+        const it = items[id];
+        if (!it) { report.unknown.push(id); continue; }
+        let next = it;
+        const K = it.K || it.n_categories || (Array.isArray(it.response_options) ? it.response_options.length : null);
+
+        if (text.stem) {
+          const current = stemOf(it);
+          if (!current) {
+            next = Object.assign({}, next, { stem: text.stem });
+            report.filled.push({ item_id: id, field: "stem" });
+          } else if (current !== text.stem) {
+            report.conflicts.push({ item_id: id, field: "stem", message: `Bank text "${current}" differs from resource text "${text.stem}"` });
+          }
+        }
+
+        if (text.options) {
+          const labels = text.options.map(o => (o && typeof o === "object") ? (o.label || o.text || "") : String(o));
+          const current = optionLabels(it);
+          if (K && labels.length !== K) {
+            report.conflicts.push({ item_id: id, field: "options", message: `Resource has ${labels.length} option labels for a ${K}-category item` });
+          } else if (!current) {
+            next = Object.assign({}, next, { response_options: labels });
+            report.filled.push({ item_id: id, field: "options" });
+          } else if (current.join("|") !== labels.join("|")) {
+            report.conflicts.push({ item_id: id, field: "options", message: "Bank option labels differ from resource labels" });
+          }
+        }
+        items[id] = next;
+      }
+    }
+    return { bank: Object.assign({}, bank, { items }), report };
+  }
+
+  // Items a patient could not be shown: no stem text or incomplete option labels
+  function missingText(bank){
+    const out = [];
+    for (const [id, it] of Object.entries((bank && bank.items) || {})){
+      if (!stemOf(it)) out.push({ item_id: id, field: "stem" });
+      if (!optionLabels(it)) out.push({ item_id: id, field: "options" });
+    }
+    return out;
+  }
+
+  return { applyItemText, missingText, stemOf, normalizeResource };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATItemText = CATItemText;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATItemText;
+}
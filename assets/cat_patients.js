@@ -0,0 +1,196 @@
+
+// SpinePRO Joint CAT longitudinal patient store
+// Finished results are filed in IndexedDB under a clinic-assigned patient ID and a visit label
+// (pre-op, 6 weeks, ...), one record per patient and visit; re-administering a visit replaces it.
+// compareVisits() reports each domain's T-score change from the baseline visit, whether it reaches
+// the MCID and its reliable change index. Records stay on this device; resetSession() does not touch them.
+const CATPatientStore = (() => {
+
+  const DB_NAME = "spinepro_cat_patients";
+  const DB_VERSION = 1;
+  const STORE = "visits";
+
+  // Defaults when change_thresholds.json is not loaded
+  const DEFAULTS = {
+    visits: ["preop", "6w", "6m", "1y", "2y"],
+    baseline_visit: "preop",
+    rci_z: 1.96,
+    default_mcid_t: 5.0,
+    domains: {}
+  };
+
+  // Clinic IDs (MRN or study ID): letters, digits, ".", "_" and "-", up to 64 characters
+  function normalizePatientId(id){
+    const s = String(id == null ? "" : id).trim();
+    return /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/.test(s) ? s : null;
+  }
+
+  function resolveThresholds(thresholds){
+    const t = Object.assign({}, DEFAULTS, thresholds || {});
+    if (!Array.isArray(t.visits) || !t.visits.length) t.visits = DEFAULTS.visits.slice();
+    if (!t.visits.includes(t.baseline_visit)) t.baseline_visit = t.visits[0];
+    return t;
+  }
+
+  function normalizeVisit(visit, thresholds){
+    const v = String(visit == null ? "" : visit).trim();
+    return resolveThresholds(thresholds).visits.includes(v) ? v : null;
+  }
+
+  // Same reporting convention as finish(): PROMIS function domains and SRS are higher = better,
+  // PROMIS symptom domains higher = worse
+  function higherIsBetter(domain){
+    return domain === "Physical_Function" || domain === "Participation" || String(domain).startsWith("SRS_");
+  }
+
+  function mcidFor(t, domain){
+    const d = t.domains && t.domains[domain];
+    return (d && Number.isFinite(d.mcid_t)) ? d.mcid_t : t.default_mcid_t;
+  }
+
+  // Stored record for one finished administration: reported T-score and SE (T units) per domain
+  function visitRecord(patientId, visit, results){
+    const domains = {};
+    for (const d of (results && results.domain_results) || []){
+      if (!d || !d.domain || !Number.isFinite(d.t_score)) continue;
+      domains[d.domain] = {
+        t_score: d.t_score,
+        se_t: Number.isFinite(d.se) ? 10 * d.se : null,
+        n_items: d.n_items || 0
+      };
+    }
+    return {
+      patient_id: patientId,
+      visit,
+      session_id: (results && results.session_id) || null,
+      completed_at: (results && results.completed_at) || new Date().toISOString(),
+      saved_at: new Date().toISOString(),
+      language: (results && results.language) || null,
+      build: (results && results.provenance && results.provenance.build) || null,
+      total_items: (results && results.total_items) || 0,
+      domains
+    };
+  }
+
+  // records: one patient's visit records. Returns
+  // { baseline, visits:[visit ids in schedule order], domains:[{ domain, higher_is_better, mcid_t,
+  //   cells:{ <visit>: { t_score, se_t, change, improvement, meets_mcid, rci, reliable } } }] }.
+  // change/rci are null at the baseline visit, or everywhere when there is no baseline record.
+  function compareVisits(records, thresholds){
+    const t = resolveThresholds(thresholds);
+    const byVisit = {};
+    for (const r of records || []){
+      if (r && t.visits.includes(r.visit)) byVisit[r.visit] = r;
+    }
+    const visits = t.visits.filter(v => byVisit[v]);
+    const base = byVisit[t.baseline_visit] || null;
+
+    const names = [];
+    for (const v of visits){
+      for (const d of Object.keys(byVisit[v].domains || {})) if (!names.includes(d)) names.push(d);
+    }
+
+    const domains = names.map(domain => {
+      const mcid = mcidFor(t, domain);
+      const better = higherIsBetter(domain);
+      const b = base && base.domains && base.domains[domain];
+      const cells = {};
+      for (const v of visits){
+        const x = byVisit[v].domains[domain];
+        if (!x) continue;
+        const cell = { t_score: x.t_score, se_t: x.se_t, change: null, improvement: null, meets_mcid: null, rci: null, reliable: null };
+        if (b && v !== t.baseline_visit) {
+          cell.change = x.t_score - b.t_score;
+          cell.improvement = better ? cell.change : -cell.change;
+          cell.meets_mcid = Math.abs(cell.change) >= mcid;
+          if (Number.isFinite(x.se_t) && Number.isFinite(b.se_t) && (x.se_t > 0 || b.se_t > 0)) {
+            cell.rci = cell.change / Math.sqrt(x.se_t * x.se_t + b.se_t * b.se_t);
+            cell.reliable = Math.abs(cell.rci) >= t.rci_z;
+          }
+        }
+        cells[v] = cell;
+      }
+      return { domain, higher_is_better: better, mcid_t: mcid, cells };
+    });
+
+    return { baseline: base ? t.baseline_visit : null, visits, domains };
+  }
+
+  // --- IndexedDB ---
+  // factory (optional) is an IDBFactory; defaults to the global indexedDB
+
+  function open(factory){
+    return new Promise((resolve, reject) => {
+      const idb = factory || (typeof indexedDB !== "undefined" ? indexedDB : null);
+      if (!idb) { reject(new Error("IndexedDB is not available in this browser")); return; }
+      const req = idb.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: ["patient_id", "visit"] });
+          store.createIndex("patient_id", "patient_id", { unique: false });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Runs fn(store) in one transaction; resolves with the result of the request fn returns (if any)
+  // once the transaction commits
+  function transact(db, mode, fn){
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let result;
+      const req = fn(tx.objectStore(STORE));
+      if (req) req.onsuccess = () => { result = req.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Patient store transaction aborted"));
+    });
+  }
+
+  function saveVisit(db, record){
+    if (!normalizePatientId(record && record.patient_id) || !record.visit) {
+      return Promise.reject(new Error("A visit record needs a valid patient ID and visit label"));
+    }
+    return transact(db, "readwrite", store => store.put(record)).then(() => record);
+  }
+
+  function listVisits(db, patientId){
+    return transact(db, "readonly", store => store.index("patient_id").getAll(patientId))
+      .then(rows => rows || []);
+  }
+
+  function deleteVisit(db, patientId, visit){
+    return transact(db, "readwrite", store => store.delete([patientId, visit]));
+  }
+
+  // Resolves with the number of visits removed
+  function deletePatient(db, patientId){
+    let n = 0;
+    return transact(db, "readwrite", store => {
+      const keys = store.index("patient_id").getAllKeys(patientId);
+      keys.onsuccess = () => {
+        n = keys.result.length;
+        for (const k of keys.result) store.delete(k);
+      };
+      return null;
+    }).then(() => n);
+  }
+
+  return {
+    DB_NAME, DEFAULTS,
+    normalizePatientId, normalizeVisit, resolveThresholds, higherIsBetter,
+    visitRecord, compareVisits,
+    open, saveVisit, listVisits, deleteVisit, deletePatient
+  };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATPatientStore = CATPatientStore;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATPatientStore;
+}
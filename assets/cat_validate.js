@@ -0,0 +1,255 @@
+
+// SpinePRO Joint CAT asset validator
+// Cross-checks the item bank, pair-exclusion constraints, norms, item translations and change thresholds before a session starts.
+// Used by app.js at load time (blocking error in the clinic build) and by tools/validate_assets.js.
+const CATAssetValidator = (() => {
+
+  function isNum(x){ return typeof x === "number" && Number.isFinite(x); }
+
+  // Plain Cholesky; returns false when the matrix is not positive definite.
+  function isPositiveDefinite(A){
+    const n = A.length;
+    const L = Array.from({length:n}, ()=>new Array(n).fill(0));
+    for (let i=0;i<n;i++){
+      for (let j=0;j<=i;j++){
+        let s = A[i][j];
+        for (let k=0;k<j;k++) s -= L[i][k]*L[j][k];
+        if (i === j){
+          if (!(s > 1e-12)) return false;
+          L[i][i] = Math.sqrt(s);
+        } else {
+          L[i][j] = s / L[j][j];
+        }
+      }
+    }
+    return true;
+  }
+
+  function checkBank(bank, report){
+    const err = (path, message) => report.errors.push({ asset:"bank", path, message });
+    if (!bank || typeof bank !== "object") { err("", "Item bank is missing"); return; }
+
+    const domains = Array.isArray(bank.domains) ? bank.domains : null;
+    if (!domains || !domains.length) err("domains", "bank.domains must be a non-empty array");
+    const domainSet = new Set(domains || []);
+
+    const items = bank.items && typeof bank.items === "object" ? bank.items : null;
+    if (!items || !Object.keys(items).length) { err("items", "bank.items is empty"); return; }
+
+    for (const [id, it] of Object.entries(items)){
+      const p = `items.${id}`;
+      if (!it || typeof it !== "object") { err(p, "Item is not an object"); continue; }
+      if (it.id !== undefined && it.id !== id) err(`${p}.id`, `Item id "${it.id}" does not match its key`);
+      if (!domainSet.has(it.domain)) err(`${p}.domain`, `Domain "${it.domain}" is not in bank.domains`);
+      if (!isNum(it.discrimination) || it.discrimination <= 0) err(`${p}.discrimination`, "Discrimination must be a positive number");
+
+      const b = it.thresholds;
+      if (!Array.isArray(b) || !b.length) {
+        err(`${p}.thresholds`, "Thresholds are missing");
+      } else if (!b.every(isNum)) {
+        err(`${p}.thresholds`, "Thresholds must all be finite numbers");
+      } else {
+        for (let k=1;k<b.length;k++){
+          if (!(b[k] > b[k-1])) { err(`${p}.thresholds`, `Thresholds are not strictly increasing at position ${k}`); break; }
+        }
+      }
+
+      // Patients must never see placeholder text: every item needs a stem and a label per option
+      const stem = it.stem || it.question || it.item_text || it.label;
+      if (typeof stem !== "string" || !stem.trim()) err(`${p}.stem`, "Item has no question text (stem/item_text)");
+      if (Array.isArray(it.response_options) && it.response_options.some(o => !String(o && typeof o === "object" ? (o.label || o.text || "") : (o == null ? "" : o)).trim())) {
+        err(`${p}.response_options`, "Item has an empty option label");
+      }
+
+      const opts = Array.isArray(it.response_options) ? it.response_options.length : null;
+      const K = it.K !== undefined ? it.K : it.n_categories;
+      if (opts === null) err(`${p}.response_options`, "response_options are missing");
+      if (it.K !== undefined && it.n_categories !== undefined && it.K !== it.n_categories) {
+        err(`${p}.K`, `K (${it.K}) and n_categories (${it.n_categories}) disagree`);
+      }
+      if (K !== undefined && opts !== null && K !== opts) {
+        err(`${p}.K`, `K/n_categories (${K}) does not match response_options.length (${opts})`);
+      }
+      const nCat = K !== undefined ? K : opts;
+      if (Array.isArray(b) && isNum(nCat) && b.length !== nCat - 1) {
+        err(`${p}.thresholds`, `Expected ${nCat - 1} thresholds for ${nCat} categories, found ${b.length}`);
+      }
+    }
+
+    if (domains) {
+      for (const d of domains){
+        if (!Object.values(items).some(it => it && it.domain === d)) {
+          report.warnings.push({ asset:"bank", path:"domains", message:`Domain "${d}" has no items` });
+        }
+      }
+    }
+
+    const S = bank.prior_covariance;
+    if (S !== undefined && domains) {
+      const D = domains.length;
+      const square = Array.isArray(S) && S.length === D && S.every(r => Array.isArray(r) && r.length === D && r.every(isNum));
+      if (!square) {
+        err("prior_covariance", `prior_covariance must be a ${D}x${D} matrix of finite numbers`);
+      } else {
+        let symmetric = true;
+        for (let i=0;i<D && symmetric;i++) for (let j=0;j<i;j++) if (Math.abs(S[i][j]-S[j][i]) > 1e-9) { symmetric = false; break; }
+        if (!symmetric) err("prior_covariance", "prior_covariance is not symmetric");
+        else if (!isPositiveDefinite(S)) err("prior_covariance", "prior_covariance is not positive definite");
+      }
+    }
+  }
+
+  // Same shapes as the engine's constraint index: {constraints:[[a,b]]}, {pairs:[[a,b]]} or {a:[b,...]}.
+  // Pairs naming unknown items are errors: the engine drops them, so the local-dependence protection
+  // they stand for would silently be lost (e.g. pairs written with item codes the bank does not use).
+  function checkConstraints(bank, constraints, report){
+    const warn = (path, message) => report.warnings.push({ asset:"constraints", path, message });
+    const err = (path, message) => report.errors.push({ asset:"constraints", path, message });
+    if (!constraints || typeof constraints !== "object" || !Object.keys(constraints).length) {
+      warn("", "No pair-exclusion constraints loaded");
+      return;
+    }
+    let raw = [];
+    if (Array.isArray(constraints.constraints)) raw = constraints.constraints;
+    else if (Array.isArray(constraints.pairs)) raw = constraints.pairs;
+    else {
+      for (const [a, arr] of Object.entries(constraints)){
+        if (a === "meta" || a === "metadata" || !Array.isArray(arr)) continue;
+        for (const b of arr) raw.push([a, b]);
+      }
+    }
+
+    const items = (bank && bank.items) || {};
+    let valid = 0;
+    raw.forEach((pair, i) => {
+      const path = `constraints[${i}]`;
+      if (!Array.isArray(pair) || pair.length !== 2) { warn(path, "Constraint is not a pair of item ids"); return; }
+      if (pair[0] === pair[1]) { warn(path, `Constraint pairs item "${pair[0]}" with itself`); return; }
+      const missing = pair.filter(id => !items[id]);
+      if (missing.length) { err(path, `Unknown item id(s): ${missing.join(", ")}`); return; }
+      valid += 1;
+    });
+    report.summary.constraints_total = raw.length;
+    report.summary.constraints_valid = valid;
+  }
+
+  function checkNorms(bank, norms, report){
+    const err = (path, message) => report.errors.push({ asset:"norms", path, message });
+    const nd = norms && norms.domains;
+    if (!nd || typeof nd !== "object") { err("domains", "Norms file has no domains"); return; }
+    for (const d of (bank && bank.domains) || []){
+      const n = nd[d];
+      if (!n) { err(`domains.${d}`, `No norms for domain "${d}"`); continue; }
+      const pct = n.theta_scale && n.theta_scale.percentiles;
+      if (!pct || !Object.keys(pct).length) err(`domains.${d}.theta_scale`, `No theta-scale percentiles for domain "${d}"`);
+      else if (!n.theta_scale.severity_bands) {
+        report.warnings.push({ asset:"norms", path:`domains.${d}.theta_scale`, message:`No theta-scale severity bands for domain "${d}"; raw-scale bands are used` });
+      }
+    }
+    for (const d of Object.keys(nd)){
+      if (bank && Array.isArray(bank.domains) && !bank.domains.includes(d)) {
+        report.warnings.push({ asset:"norms", path:`domains.${d}`, message:`Norms for "${d}" do not match any bank domain` });
+      }
+    }
+  }
+
+  // itemText: the report from CATItemText.applyItemText. A stem or option conflict means the resource
+  // describes a different question than the one scored, so it is an error; unknown ids are warnings.
+  function checkItemText(itemText, report){
+    if (!itemText) return;
+    for (const c of itemText.conflicts || []){
+      report.errors.push({ asset:"item_text", path:`${c.item_id}.${c.field}`, message:c.message });
+    }
+    for (const id of itemText.unknown || []){
+      report.warnings.push({ asset:"item_text", path:id, message:`Text resource names an item that is not in the bank` });
+    }
+    report.summary.item_text_filled = (itemText.filled || []).length;
+  }
+
+  // translations: { <lang>: items.<lang>.json }. Every bank item needs a translated stem and one
+  // label per option (in bank order); a gap would show English mid-survey, so it is an error.
+  function checkTranslations(bank, translations, report){
+    const items = (bank && bank.items) || {};
+    for (const [lang, res] of Object.entries(translations || {})){
+      const asset = `items_${lang}`;
+      const err = (path, message) => report.errors.push({ asset, path, message });
+      const entries = Object.fromEntries(Object.entries(res || {}).filter(([id]) => id !== "meta" && id !== "metadata"));
+      const status = res && res.metadata && res.metadata.status;
+      if (status !== "final") {
+        report.warnings.push({ asset, path: "metadata.status", message: `Translation is "${status || "unmarked"}", not "final"; patients are not offered ${lang}` });
+      }
+      for (const [id, it] of Object.entries(items)){
+        const e = entries[id];
+        const stem = e && (typeof e === "string" ? e : (e.stem || e.text || e.item_text));
+        if (typeof stem !== "string" || !stem.trim()) err(`${id}.stem`, `No ${lang} question text`);
+        const opts = e && typeof e === "object" ? (e.options || e.response_options) : null;
+        const n = Array.isArray(it.response_options) ? it.response_options.length : null;
+        if (!Array.isArray(opts)) err(`${id}.options`, `No ${lang} option labels`);
+        else if (n !== null && opts.length !== n) err(`${id}.options`, `${opts.length} ${lang} option labels for a ${n}-option item`);
+        else if (opts.some(o => !String(o && typeof o === "object" ? (o.label || o.text || "") : (o == null ? "" : o)).trim())) {
+          err(`${id}.options`, `Empty ${lang} option label`);
+        }
+      }
+      for (const id of Object.keys(entries)){
+        if (!items[id]) report.warnings.push({ asset, path: id, message: "Translation names an item that is not in the bank" });
+      }
+      report.summary[`${asset}_entries`] = Object.keys(entries).length;
+    }
+  }
+
+  // change_thresholds.json: MCIDs must be positive T-score amounts and the baseline one of the visits.
+  // Domains without an entry use default_mcid_t, so a missing domain is only a warning.
+  function checkChangeThresholds(bank, thresholds, report){
+    if (!thresholds) return;
+    const err = (path, message) => report.errors.push({ asset:"change_thresholds", path, message });
+    const warn = (path, message) => report.warnings.push({ asset:"change_thresholds", path, message });
+    const visits = thresholds.visits;
+    if (!Array.isArray(visits) || !visits.length || !visits.every(v => typeof v === "string" && v)) err("visits", "visits must be a non-empty array of visit labels");
+    else if (new Set(visits).size !== visits.length) err("visits", "visits contains duplicate labels");
+    else if (!visits.includes(thresholds.baseline_visit)) err("baseline_visit", `Baseline visit "${thresholds.baseline_visit}" is not in visits`);
+    if (!isNum(thresholds.rci_z) || thresholds.rci_z <= 0) err("rci_z", "rci_z must be a positive number");
+    if (!isNum(thresholds.default_mcid_t) || thresholds.default_mcid_t <= 0) err("default_mcid_t", "default_mcid_t must be a positive number");
+    const domains = (thresholds.domains && typeof thresholds.domains === "object") ? thresholds.domains : {};
+    for (const [d, v] of Object.entries(domains)){
+      if (!v || !isNum(v.mcid_t) || v.mcid_t <= 0) err(`domains.${d}.mcid_t`, "mcid_t must be a positive number");
+      if (bank && Array.isArray(bank.domains) && !bank.domains.includes(d)) warn(`domains.${d}`, `"${d}" is not a bank domain`);
+    }
+    for (const d of (bank && bank.domains) || []){
+      if (!domains[d]) warn(`domains.${d}`, `No MCID for domain "${d}"; default_mcid_t is used`);
+    }
+  }
+
+  // Returns { ok, errors:[{asset,path,message}], warnings:[...], summary }
+  // Pass the bank after the item-text layer has been applied so missing text is judged on what patients see.
+  function validateAssets({ bank, constraints, norms, itemText, translations, changeThresholds } = {}){
+    const report = { ok: true, errors: [], warnings: [], summary: {} };
+    checkBank(bank, report);
+    checkItemText(itemText, report);
+    checkTranslations(bank, translations, report);
+    checkConstraints(bank, constraints, report);
+    checkNorms(bank, norms, report);
+    checkChangeThresholds(bank, changeThresholds, report);
+    report.summary.items = bank && bank.items ? Object.keys(bank.items).length : 0;
+    report.summary.domains = bank && Array.isArray(bank.domains) ? bank.domains.length : 0;
+    report.ok = report.errors.length === 0;
+    return report;
+  }
+
+  function formatReport(report){
+    const lines = [];
+    for (const e of report.errors) lines.push(`ERROR   [${e.asset}] ${e.path ? e.path + ": " : ""}${e.message}`);
+    for (const w of report.warnings) lines.push(`WARNING [${w.asset}] ${w.path ? w.path + ": " : ""}${w.message}`);
+    lines.push(`${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+    return lines.join("\n");
+  }
+
+  return { validateAssets, formatReport };
+})();
+
+if (typeof window !== 'undefined') {
+  window.CATAssetValidator = CATAssetValidator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CATAssetValidator;
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/* SpinePRO Joint CAT — asset manifest
+ *
+ * Writes assets/manifest.json with the sha256 of the calibration files (bank, policy, norms,
+ * constraints, item text, item translations, change thresholds), the sha256 of every /assets/*.js
+ * script the pages load, the build name from version.json, the bank version and the cache-busting
+ * stamp used by the HTML pages. survey.html refuses to start when the files it loads do not match.
+ * Re-run after changing any of those files, a script or the ?v= stamp.
+ *
+ * Usage:
+ *   node tools/build_manifest.js [--check]
+ *
+ * --check verifies the existing manifest instead of writing it (exit 1 on mismatch).
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = path.join(__dirname, "..");
+const ASSETS = path.join(ROOT, "assets");
+const MANIFEST = path.join(ASSETS, "manifest.json");
+const PAGES = ["index.html", "survey.html", "results.html"];
+
+// Keys match the provenance.sha256 keys stamped into sessions and results
+const FILES = {
+  bank: "itembank_runtime.json",
+  policy: "frozen_cat_policy.json",
+  norms: "domain_norms_REAL.json",
+  constraints: "pair_exclusion_constraints_RUNTIME.json",
+  item_text: "srs_item_text.json",
+  change_thresholds: "change_thresholds.json"
+};
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+// The ?v= stamp shared by the pages' script and stylesheet URLs
+function assetStamp() {
+  const stamps = new Set();
+  for (const page of PAGES) {
+    const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+    for (const m of html.matchAll(/\/assets\/[\w.-]+\?v=([\w.-]+)/g)) stamps.add(m[1]);
+  }
+  if (stamps.size > 1) throw new Error(`Pages use different ?v= stamps: ${[...stamps].join(", ")}`);
+  return stamps.size ? [...stamps][0] : null;
+}
+
+// Scripts the pages load from /assets/, keyed by file name like provenance.code_sha256
+function pageScripts() {
+  const names = new Set();
+  for (const page of PAGES) {
+    const html = fs.readFileSync(path.join(ROOT, page), "utf8");
+    for (const m of html.matchAll(/<script[^>]*\ssrc="\/assets\/([\w.-]+\.js)(?:\?[^"]*)?"/g)) names.add(m[1]);
+  }
+  return [...names].sort();
+}
+
+// Item translations (assets/i18n/items.<lang>.json) are clinical wording too: keyed items_<lang>
+function translationFiles() {
+  const dir = path.join(ASSETS, "i18n");
+  if (!fs.existsSync(dir)) return {};
+  const out = {};
+  for (const name of fs.readdirSync(dir).sort()) {
+    const m = /^items\.([\w-]+)\.json$/.exec(name);
+    if (m) out[`items_${m[1]}`] = `i18n/${name}`;
+  }
+  return out;
+}
+
+function fileEntry(name, buf) {
+  return { path: `/assets/${name}`, sha256: sha256(buf), bytes: buf.length };
+}
+
+function buildManifest() {
+  const version = JSON.parse(fs.readFileSync(path.join(ASSETS, "version.json"), "utf8"));
+  const bankBuf = fs.readFileSync(path.join(ASSETS, FILES.bank));
+  const files = {};
+  for (const [key, name] of Object.entries(Object.assign({}, FILES, translationFiles()))) {
+    files[key] = fileEntry(name, key === "bank" ? bankBuf : fs.readFileSync(path.join(ASSETS, name)));
+  }
+  const code = {};
+  for (const name of pageScripts()) code[name] = fileEntry(name, fs.readFileSync(path.join(ASSETS, name)));
+  return {
+    build: version.build || null,
+    asset_version: assetStamp(),
+    bank_version: JSON.parse(bankBuf.toString("utf8")).version || null,
+    files,
+    code
+  };
+}
+
+function parseArgs(argv) {
+  const args = { check: false };
+  for (const a of argv) {
+    if (a === "--check") args.check = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+function main() {
+  const { check } = parseArgs(process.argv.slice(2));
+  const manifest = buildManifest();
+  if (!check) {
+    fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2) + "\n");
+    console.log(`Wrote ${path.relative(process.cwd(), MANIFEST)} (build ${manifest.build}, bank ${manifest.bank_version}, assets v=${manifest.asset_version})`);
+    return;
+  }
+  const stored = JSON.parse(fs.readFileSync(MANIFEST, "utf8"));
+  const problems = [];
+  for (const k of ["build", "asset_version", "bank_version"]) {
+    if (stored[k] !== manifest[k]) problems.push(`${k}: manifest ${stored[k]}, actual ${manifest[k]}`);
+  }
+  for (const section of ["files", "code"]) {
+    for (const [key, f] of Object.entries(manifest[section])) {
+      const s = stored[section] && stored[section][key];
+      if (!s || s.sha256 !== f.sha256) problems.push(`${key}: sha256 does not match ${f.path}`);
+    }
+  }
+  if (problems.length) {
+    console.error("Manifest is out of date:\n  " + problems.join("\n  "));
+    process.exitCode = 1;
+  } else {
+    console.log("Manifest matches the asset files.");
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildManifest };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/* SpinePRO Joint CAT — combine long-format exports
+ *
+ * Concatenates per-session long-format files (results page "Research data (long)" download or
+ * CATCsvExport.longTable) into one table, e.g. for a whole clinic day. Keeps a single header row
+ * and refuses files whose columns differ. Records are read with the quoting rules cat_csv.js
+ * writes (quoted fields, "" for a quote, newlines inside quotes), and a file that does not parse
+ * back under those rules is refused rather than merged. ".tsv" inputs are tab-separated; all
+ * inputs must share one delimiter.
+ *
+ * Usage:
+ *   node tools/combine_exports.js --out clinic_day.csv session1.csv session2.csv ...
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+function parseArgs(argv) {
+  const args = { out: null, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") args.out = path.resolve(argv[++i]);
+    else if (a.startsWith("--")) throw new Error(`Unknown argument: ${a}`);
+    else args.files.push(path.resolve(a));
+  }
+  if (!args.files.length) throw new Error("No input files given");
+  return args;
+}
+
+function delimiterFor(file) {
+  return path.extname(file).toLowerCase() === ".tsv" ? "\t" : ",";
+}
+
+// Splits text into records, each { text, fields }: text is the record exactly as written (so rows
+// are copied through unchanged), fields the unquoted values. Throws on anything cat_csv.js would
+// not have produced: an unterminated quote, or a quote opening mid-field or followed by text.
+function parseRecords(text, delimiter, name) {
+  const records = [];
+  let i = 0;
+  let line = 1;
+  while (i < text.length) {
+    const start = i;
+    const startLine = line;
+    const fields = [];
+    for (;;) {
+      let value = "";
+      if (text[i] === '"') {
+        i++;
+        for (;;) {
+          if (i >= text.length) throw new Error(`${name}: unterminated quoted field starting on line ${startLine}`);
+          if (text[i] === '"') {
+            if (text[i + 1] === '"') { value += '"'; i += 2; continue; }
+            i++;
+            break;
+          }
+          if (text[i] === "\n") line++;
+          value += text[i++];
+        }
+        if (i < text.length && text[i] !== delimiter && text[i] !== "\n" && text[i] !== "\r") {
+          throw new Error(`${name}: text after a closing quote on line ${line}`);
+        }
+      } else {
+        while (i < text.length && text[i] !== delimiter && text[i] !== "\n" && text[i] !== "\r") {
+          if (text[i] === '"') throw new Error(`${name}: unquoted field contains a quote on line ${line}`);
+          value += text[i++];
+        }
+      }
+      fields.push(value);
+      if (text[i] === delimiter) { i++; continue; }
+      break;
+    }
+    const end = i;
+    if (text[i] === "\r") i++;
+    if (text[i] === "\n") { i++; line++; }
+    const raw = text.slice(start, end);
+    if (raw.length) records.push({ text: raw, fields, line: startLine });
+  }
+  return records;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const delimiter = delimiterFor(args.files[0]);
+  let header = null;
+  const rows = [];
+  for (const file of args.files) {
+    const name = path.basename(file);
+    if (delimiterFor(file) !== delimiter) throw new Error(`${name} is not the same format as ${path.basename(args.files[0])}`);
+    const records = parseRecords(fs.readFileSync(file, "utf8"), delimiter, name);
+    if (!records.length) continue;
+    if (records[0].text.startsWith("#")) throw new Error(`${name} starts with a "#" header block; combine the long-format ("Research data (long)") files`);
+    if (header === null) header = records[0];
+    else if (records[0].text !== header.text) throw new Error(`${name} has different columns than ${path.basename(args.files[0])}`);
+    for (const r of records.slice(1)) {
+      if (r.fields.length !== header.fields.length) {
+        throw new Error(`${name}: record on line ${r.line} has ${r.fields.length} fields, header has ${header.fields.length}`);
+      }
+      rows.push(r.text);
+    }
+  }
+  if (header === null) throw new Error("Input files are empty");
+  const text = [header.text, ...rows].join("\n") + "\n";
+  if (args.out) {
+    fs.writeFileSync(args.out, text);
+    console.log(`Wrote ${rows.length} rows from ${args.files.length} file(s) -> ${path.relative(process.cwd(), args.out)}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  }
+}
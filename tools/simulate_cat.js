@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/* SpinePRO Joint CAT — Monte Carlo simulation
+ *
+ * Draws true theta vectors from the bank's prior (MVN(0, prior_covariance)), generates GRM
+ * responses with the engine's own grmCatProbs, runs full CAT sessions through cat_engine.js
+ * and writes the summary to assets/cat_simulation_with_constraints.json.
+ *
+ * Usage:
+ *   node tools/simulate_cat.js [--n 10000] [--seed 20260208] [--out path.json]
+ *                              [--exposure none|randomesque|sympson_hetter|progressive_restricted]
+ *                              [--selection "D-optimal + soft domain penalty"]
+ *                              [--calibrate-sh <iterations> --out-bank <path.json>]
+ *
+ * --calibrate-sh runs the iterative Sympson-Hetter procedure against exposure_control.r_max and
+ * writes a copy of the bank with the resulting exposure_k parameters to --out-bank. The shipped
+ * bank is left alone: adopting the copy changes the bank hash, so run tools/build_manifest.js after
+ * replacing assets/itembank_runtime.json or every page blocks on the manifest check.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { JointCATEngine, createJointCATEngine } = require("../assets/cat_engine.js");
+
+const ASSETS = path.join(__dirname, "..", "assets");
+
+function loadAsset(name) {
+  return JSON.parse(fs.readFileSync(path.join(ASSETS, name), "utf8"));
+}
+
+function parseArgs(argv) {
+  const args = { n: 10000, seed: null, out: path.join(ASSETS, "cat_simulation_with_constraints.json"), exposure: null, selection: null, calibrateSH: 0, outBank: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--n") args.n = parseInt(argv[++i], 10);
+    else if (a === "--seed") args.seed = parseInt(argv[++i], 10);
+    else if (a === "--out") args.out = path.resolve(argv[++i]);
+    else if (a === "--exposure") args.exposure = argv[++i];
+    else if (a === "--selection") args.selection = argv[++i];
+    else if (a === "--calibrate-sh") args.calibrateSH = parseInt(argv[++i], 10);
+    else if (a === "--out-bank") args.outBank = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!Number.isFinite(args.n) || args.n < 1) throw new Error("--n must be a positive integer");
+  if (!Number.isFinite(args.calibrateSH) || args.calibrateSH < 0) throw new Error("--calibrate-sh must be a non-negative integer");
+  if (args.calibrateSH && !args.outBank) throw new Error("--calibrate-sh needs --out-bank <path.json> for the calibrated bank");
+  if (args.outBank && !args.calibrateSH) throw new Error("--out-bank is only used with --calibrate-sh");
+  return args;
+}
+
+// Standard normal draws (Box-Muller) from a uniform generator
+function normalSampler(rand) {
+  let spare = null;
+  return function () {
+    if (spare !== null) { const v = spare; spare = null; return v; }
+    let u = 0;
+    while (u <= 1e-12) u = rand();
+    const v = rand();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+function drawTheta(L, normal) {
+  const D = L.length;
+  const z = Array.from({ length: D }, () => normal());
+  const theta = new Array(D).fill(0);
+  for (let i = 0; i < D; i++) {
+    let s = 0;
+    for (let k = 0; k <= i; k++) s += L[i][k] * z[k];
+    theta[i] = s;
+  }
+  return theta;
+}
+
+function drawCategory(probs, rand) {
+  const u = rand();
+  let acc = 0;
+  for (let k = 0; k < probs.length; k++) {
+    acc += probs[k];
+    if (u < acc) return k;
+  }
+  return probs.length - 1;
+}
+
+function mean(xs) { return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null; }
+function sd(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((a, x) => a + (x - m) * (x - m), 0) / (xs.length - 1));
+}
+function round(x, digits = 3) { return (x === null || !Number.isFinite(x)) ? null : Number(x.toFixed(digits)); }
+
+function loadAssets() {
+  return {
+    bank: loadAsset("itembank_runtime.json"),
+    norms: loadAsset("domain_norms_REAL.json"),
+    constraints: loadAsset("pair_exclusion_constraints_RUNTIME.json"),
+    policy: loadAsset("frozen_cat_policy.json")
+  };
+}
+
+function simulate({ n, seed, assets }) {
+  const { bank, norms, constraints, policy } = assets || loadAssets();
+
+  const baseSeed = Number.isFinite(seed) ? seed : (policy.random_seed || 0);
+  const rand = JointCATEngine.mulberry32(baseSeed);
+  const normal = normalSampler(rand);
+  const L = JointCATEngine.cholesky(bank.prior_covariance);
+  const domains = bank.domains;
+  const itemIds = Object.keys(bank.items);
+  const allPairs = (constraints.constraints || []).filter(p => Array.isArray(p) && p.length === 2);
+  const pairs = allPairs.filter(p => bank.items[p[0]] && bank.items[p[1]]);
+
+  const lengths = [];
+  const globalSEs = [];
+  const stopReasons = {};
+  const exposure = Object.fromEntries(itemIds.map(id => [id, 0]));
+  const selected = Object.fromEntries(itemIds.map(id => [id, 0])); // administered or rejected by Sympson-Hetter
+  const perDomain = Object.fromEntries(domains.map(d => [d, { err: [], se: [], items: [], stops: {} }]));
+  const violatedPairs = {};
+  let sessionsWithViolation = 0;
+
+  for (let r = 0; r < n; r++) {
+    const trueTheta = drawTheta(L, normal);
+    const engine = createJointCATEngine({ bank, norms, constraints, policy, seed: `sim-${baseSeed}-${r}` });
+
+    let item;
+    while (!engine.isFinished() && (item = engine.nextItem())) {
+      const d = domains.indexOf(item.domain);
+      const b = (item.thresholds || []).filter(v => Number.isFinite(v));
+      const cat = drawCategory(JointCATEngine.grmCatProbs(trueTheta[d], item.discrimination, b), rand);
+      engine.answer(item.id, JointCATEngine.responseForCategory(item, cat));
+    }
+
+    const s = engine._getSession();
+    const res = engine.getResults();
+    const asked = s.administered.map(a => a.item_id);
+    lengths.push(asked.length);
+    if (Number.isFinite(res.global_SE)) globalSEs.push(res.global_SE);
+    stopReasons[res.stop_reason] = (stopReasons[res.stop_reason] || 0) + 1;
+    for (const id of asked) exposure[id] += 1;
+    for (const id of new Set(asked.concat(s.exposure_blocked || []))) selected[id] += 1;
+
+    for (const dr of res.domain_results) {
+      const i = domains.indexOf(dr.domain);
+      if (i < 0) continue;
+      perDomain[dr.domain].err.push(dr.theta - trueTheta[i]);
+      if (Number.isFinite(dr.se)) perDomain[dr.domain].se.push(dr.se);
+      perDomain[dr.domain].items.push(s.domain_counts[dr.domain] || 0);
+      const why = dr.domain_stop_reason || "session_end";
+      perDomain[dr.domain].stops[why] = (perDomain[dr.domain].stops[why] || 0) + 1;
+    }
+
+    const askedSet = new Set(asked);
+    let violated = false;
+    for (const [a, b] of pairs) {
+      if (askedSet.has(a) && askedSet.has(b)) {
+        const key = `${a}|${b}`;
+        violatedPairs[key] = (violatedPairs[key] || 0) + 1;
+        violated = true;
+      }
+    }
+    if (violated) sessionsWithViolation += 1;
+  }
+
+  const lengthDist = {};
+  for (const len of lengths) lengthDist[len] = (lengthDist[len] || 0) + 1;
+
+  const domainRecovery = {};
+  for (const d of domains) {
+    const { err, se, items, stops } = perDomain[d];
+    domainRecovery[d] = {
+      bias: round(mean(err)),
+      rmse: round(Math.sqrt(mean(err.map(e => e * e)))),
+      mean_SE: round(mean(se)),
+      mean_items: round(mean(items), 2),
+      domain_stop_reasons: Object.fromEntries(Object.entries(stops).map(([k, v]) => [k, round(v / n, 4)]))
+    };
+  }
+
+  const rates = itemIds.map(id => exposure[id] / n);
+  const ec = policy.exposure_control || {};
+  const rMax = Number.isFinite(ec.r_max) ? ec.r_max : null;
+
+  return {
+    n_simulations: n,
+    mean_test_length: round(mean(lengths), 2),
+    sd_test_length: round(sd(lengths), 2),
+    min_test_length: Math.min(...lengths),
+    max_test_length: Math.max(...lengths),
+    mean_global_SE: round(mean(globalSEs)),
+    sd_global_SE: round(sd(globalSEs)),
+    n_constraints: pairs.length,
+    n_constraints_unknown_ids: allPairs.length - pairs.length,
+    items_in_bank: itemIds.length,
+    domains: domains.length,
+    residual_ld_pairs: Object.values(violatedPairs).reduce((a, b) => a + b, 0),
+    residual_ld_pct: round(100 * sessionsWithViolation / n, 2),
+    seed: baseSeed,
+    bank_version: bank.version || null,
+    policy: {
+      min_items: policy.min_items,
+      max_items: policy.max_items,
+      global_SE_threshold: policy.global_SE_threshold,
+      selection_algorithm: policy.selection_algorithm,
+      map_prior: policy.map_prior || "full",
+      scoring_method: policy.scoring_method || "MAP",
+      exposure_control: ec.method || "none"
+    },
+    test_length_distribution: lengthDist,
+    stop_reasons: Object.fromEntries(Object.entries(stopReasons).map(([k, v]) => [k, round(v / n, 4)])),
+    domain_recovery: domainRecovery,
+    exposure_summary: {
+      max_rate: round(Math.max(...rates), 4),
+      mean_rate: round(mean(rates), 4),
+      items_never_administered: rates.filter(r => r === 0).length,
+      items_above_r_max: rMax === null ? null : rates.filter(r => r > rMax).length
+    },
+    item_exposure: Object.fromEntries(itemIds.map(id => [id, round(exposure[id] / n, 4)])),
+    item_selection_rate: Object.fromEntries(itemIds.map(id => [id, round(selected[id] / n, 4)])),
+    constraint_violations: violatedPairs
+  };
+}
+
+// Iterative Sympson-Hetter calibration: k_i = r_max / P(selected_i) when P(selected_i) > r_max, else 1.
+function calibrateSympsonHetter(args, assets) {
+  const ec = Object.assign({}, assets.policy.exposure_control || {}, { method: "sympson_hetter" });
+  const rMax = Number.isFinite(ec.r_max) ? ec.r_max : 0.3;
+  const policy = Object.assign({}, assets.policy, { exposure_control: ec });
+  const bank = assets.bank;
+  for (const it of Object.values(bank.items)) it.exposure_k = 1;
+
+  for (let iter = 1; iter <= args.calibrateSH; iter++) {
+    const summary = simulate({ n: args.n, seed: args.seed, assets: Object.assign({}, assets, { bank, policy }) });
+    for (const [id, pS] of Object.entries(summary.item_selection_rate)) {
+      bank.items[id].exposure_k = (pS > rMax) ? round(rMax / pS, 4) : 1;
+    }
+    console.log(`Sympson-Hetter iteration ${iter}: max exposure ${summary.exposure_summary.max_rate}`);
+  }
+  fs.writeFileSync(args.outBank, JSON.stringify(bank, null, 2) + "\n");
+  console.log(`Wrote the bank with exposure_k parameters to ${path.relative(process.cwd(), args.outBank)}`);
+  console.log("To adopt it: copy it over assets/itembank_runtime.json, then run node tools/build_manifest.js");
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const assets = loadAssets();
+  if (args.exposure) {
+    assets.policy.exposure_control = Object.assign({}, assets.policy.exposure_control || {}, { method: args.exposure });
+  }
+  if (args.selection) assets.policy.selection_algorithm = args.selection;
+  if (args.calibrateSH) {
+    calibrateSympsonHetter(args, assets);
+    return;
+  }
+  const t0 = Date.now();
+  const summary = simulate(Object.assign({}, args, { assets }));
+  fs.writeFileSync(args.out, JSON.stringify(summary, null, 2) + "\n");
+  console.log(`Simulated ${args.n} sessions in ${((Date.now() - t0) / 1000).toFixed(1)}s -> ${path.relative(process.cwd(), args.out)}`);
+  console.log(`Mean test length ${summary.mean_test_length} (SD ${summary.sd_test_length}), mean global SE ${summary.mean_global_SE}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  }
+}
+
+module.exports = { simulate };
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/* SpinePRO Joint CAT — asset consistency check
+ *
+ * Runs the same validator the survey page runs at load time against the JSON files in assets/,
+ * including every item translation in assets/i18n/ (the survey page checks only the patient's language).
+ * Exits 1 when any error is found (warnings alone exit 0).
+ *
+ * Usage:
+ *   node tools/validate_assets.js [--json] [--assets <dir>]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { validateAssets, formatReport } = require("../assets/cat_validate.js");
+const { applyItemText } = require("../assets/cat_item_text.js");
+
+function parseArgs(argv) {
+  const args = { json: false, assets: path.join(__dirname, "..", "assets") };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--json") args.json = true;
+    else if (a === "--assets") args.assets = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+function loadAsset(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+}
+
+// Every assets/i18n/items.<lang>.json, keyed by language
+function loadTranslations(dir) {
+  const i18n = path.join(dir, "i18n");
+  if (!fs.existsSync(i18n)) return {};
+  const out = {};
+  for (const name of fs.readdirSync(i18n).sort()) {
+    const m = /^items\.([\w-]+)\.json$/.exec(name);
+    if (m) out[m[1]] = loadAsset(i18n, name);
+  }
+  return out;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const merged = applyItemText(loadAsset(args.assets, "itembank_runtime.json"), [loadAsset(args.assets, "srs_item_text.json")]);
+  const report = validateAssets({
+    bank: merged.bank,
+    itemText: merged.report,
+    constraints: loadAsset(args.assets, "pair_exclusion_constraints_RUNTIME.json"),
+    norms: loadAsset(args.assets, "domain_norms_REAL.json"),
+    translations: loadTranslations(args.assets),
+    changeThresholds: loadAsset(args.assets, "change_thresholds.json")
+  });
+  console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  }
+}